@@ -0,0 +1,57 @@
+const assert = require('assert');
+
+/**
+ * Build a binding, suitable for passing to `consume`, from an exchanges
+ * reference document (such as that returned from `exchanges.reference()`, or
+ * fetched from a deployment's references).  `name` is the name of the entry,
+ * such as `taskDefined`, and `routingKeyFields` gives values for some of the
+ * routing key's fields, such as `{taskId: 'abc'}`.  Fields that are not given
+ * match anything: `*` for single-word fields and `#` for the multiple-word
+ * field.  Constant fields always have their constant value.
+ *
+ * The result is `{exchange, routingKeyPattern, routingKeyReference}`, with the
+ * full exchange name.  The reference is included so that consumers can parse
+ * the routing key of each message into `message.routing`.
+ */
+const bindingFromReference = (reference, name, routingKeyFields = {}) => {
+  assert(reference && reference.entries, 'an exchanges reference is required');
+  const entry = reference.entries.find(e => e.name === name);
+  assert(entry, `no exchange named ${name} in the reference`);
+
+  for (let field of Object.keys(routingKeyFields)) {
+    assert(entry.routingKey.some(key => key.name === field),
+      `${field} is not a routing key field of exchange ${name}`);
+  }
+
+  const words = entry.routingKey.map(key => {
+    const value = routingKeyFields[key.name];
+    if (key.constant) {
+      assert(value === undefined || value === key.constant,
+        `routing key field ${key.name} is constant ${key.constant}`);
+      return key.constant;
+    }
+    if (value === undefined) {
+      return key.multipleWords ? '#' : '*';
+    }
+
+    assert(typeof value === 'string', `routing key field ${key.name} must be a string`);
+    const fieldWords = value.split('.');
+    assert(fieldWords.every(word => word.length > 0),
+      `routing key field ${key.name} must not contain empty words`);
+    assert(key.multipleWords || fieldWords.length === 1,
+      `routing key field ${key.name} is a single word, and must not contain '.'`);
+    // `#` may appear within a multiple-word field, but a single-word field
+    // matches exactly one word
+    assert(fieldWords.every(word => word !== '#' || key.multipleWords),
+      `routing key field ${key.name} is a single word, and must not be '#'`);
+    return value;
+  });
+
+  return {
+    exchange: `${reference.exchangePrefix}${entry.exchange}`,
+    routingKeyPattern: words.join('.'),
+    routingKeyReference: entry.routingKey,
+  };
+};
+
+exports.bindingFromReference = bindingFromReference;
@@ -0,0 +1,143 @@
+const debug = require('debug')('taskcluster-lib-pulse.channelpool');
+
+/**
+ * A pool of AMQP channels on a single amqplib connection, used by
+ * `client.withChannel` when the Client's `channelPoolSize` is set.
+ *
+ * Channels are handed out with `acquire` and must be returned with `release`.
+ * At most `size` channels, of either kind, are open at any time; callers of
+ * `acquire` wait for a channel to be released when the pool is full.  Any
+ * channel that emits an error or closes is discarded rather than returned to
+ * the pool.
+ *
+ * When the connection retires, `drain` closes idle channels and closes the
+ * remaining channels as they are released.  Once draining, `acquire` fails,
+ * including for callers already waiting for a channel.
+ */
+class ChannelPool {
+  constructor(amqp, {size}) {
+    this.amqp = amqp;
+    this.size = size;
+
+    // idle channels, as {channel, confirm, broken}
+    this.idle = [];
+    // channels in use, keyed by channel
+    this.inUse = new Map();
+    // number of channels being created
+    this.creating = 0;
+    // functions to call when a channel is released
+    this.waiters = [];
+    this.draining = false;
+  }
+
+  get openChannels() {
+    return this.idle.length + this.inUse.size + this.creating;
+  }
+
+  /**
+   * Get a channel (or a confirm channel, if `confirmChannel` is true)
+   */
+  async acquire({confirmChannel} = {}) {
+    const confirm = Boolean(confirmChannel);
+
+    while (true) {
+      if (this.draining) {
+        throw new Error('Channel pool is draining');
+      }
+
+      const i = this.idle.findIndex(entry => entry.confirm === confirm);
+      if (i !== -1) {
+        const [entry] = this.idle.splice(i, 1);
+        this.inUse.set(entry.channel, entry);
+        return entry.channel;
+      }
+
+      // make room by closing an idle channel of the other kind
+      if (this.openChannels >= this.size && this.idle.length) {
+        this._close(this.idle.shift());
+      }
+
+      if (this.openChannels < this.size) {
+        return this._create(confirm);
+      }
+
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+  }
+
+  /**
+   * Return a channel to the pool
+   */
+  release(channel) {
+    const entry = this.inUse.get(channel);
+    if (!entry) {
+      return;
+    }
+    this.inUse.delete(channel);
+
+    if (entry.broken || this.draining) {
+      this._close(entry);
+    } else {
+      this.idle.push(entry);
+    }
+    this._wake();
+  }
+
+  /**
+   * Close all channels, waiting until those in use are released.
+   */
+  async drain() {
+    this.draining = true;
+    this.idle.splice(0).forEach(entry => this._close(entry));
+    // fail any acquires waiting for a channel
+    this._wake();
+    while (this.inUse.size > 0 || this.creating > 0) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+  }
+
+  async _create(confirm) {
+    this.creating++;
+    let channel;
+    try {
+      channel = await this.amqp[confirm ? 'createConfirmChannel' : 'createChannel']();
+    } catch (err) {
+      this.creating--;
+      this._wake();
+      throw err;
+    }
+    this.creating--;
+
+    const entry = {channel, confirm, broken: false};
+    const broken = () => {
+      if (!entry.broken) {
+        debug('discarding broken channel');
+        entry.broken = true;
+        const i = this.idle.indexOf(entry);
+        if (i !== -1) {
+          this.idle.splice(i, 1);
+          this._wake();
+        }
+      }
+    };
+    channel.on('error', broken);
+    channel.on('close', broken);
+
+    this.inUse.set(channel, entry);
+    return channel;
+  }
+
+  _close(entry) {
+    if (!entry.broken) {
+      entry.broken = true;
+      // ignore errors in close; the channel is being discarded anyway
+      entry.channel.close().catch(err => {});
+    }
+  }
+
+  _wake() {
+    this.waiters.splice(0).forEach(resolve => resolve());
+  }
+}
+
+exports.ChannelPool = ChannelPool;
@@ -2,9 +2,32 @@ const events = require('events');
 const debug = require('debug');
 const amqplib = require('amqplib');
 const assert = require('assert');
+const url = require('url');
+const {fixedReconnectionPolicy} = require('./reconnection');
+const {ChannelPool} = require('./channelpool');
+const {FakeBroker} = require('./fakebroker');
+const {messages} = require('./consumer');
 
 let clientCounter = 0;
 
+/**
+ * Get the endpoint of a connection string: its protocol, host, port and vhost,
+ * without credentials or query parameters
+ */
+const endpointOf = connectionString => {
+  const {protocol, host, pathname} = url.parse(connectionString);
+  return `${protocol}//${host}${pathname || ''}`;
+};
+
+/**
+ * Parse a UTC time of day like '02:30' into ms after midnight
+ */
+const parseTimeOfDay = time => {
+  const match = /^([0-9]{1,2}):([0-9]{2})$/.exec(time);
+  assert(match && match[1] < 24 && match[2] < 60, `invalid time of day ${time}`);
+  return (Number(match[1]) * 60 + Number(match[2])) * 60 * 1000;
+};
+
 /**
  * An object to create connections to a pulse server.  This class will
  * automatically handle reconnecting as necessary.
@@ -21,17 +44,75 @@ let clientCounter = 0;
  * this occurs, the old connection is held open for 30 seconds to allow any pending
  * publish operations or message consumptions to complete.
  *
+ * The credentials function returns `{connectionString}`, and may also include
+ * `expires` (the time at which the credentials stop working) or `recycleAt`
+ * (the time at which the connection should be recycled).  In either case, the
+ * connection is recycled, with freshly-fetched credentials, before that time:
+ * at `recycleAt`, or `credentialsExpiryMargin` before `expires`.
+ *
+ * For a server with several nodes, the credentials function can return
+ * `connectionStrings`, an array of connection strings, instead of
+ * `connectionString`.  The client keeps using the same connection string as
+ * long as connections made with it do not fail, and moves on to the next in
+ * the array when they do.
+ *
+ * To avoid every replica of a service recycling at the same moment, periodic
+ * recycles can be spread out with `recycleJitter`, limited to a daily quiet
+ * period with `recycleQuietPeriod`, and deferred while messages are in flight
+ * with `maxRecycleDeferral`.  These apply only to periodic recycles, not to those
+ * required by credentials or caused by connection failures.
+ *
  * Options:
  * * credentials (async function )
  * * recycleInterval (ms; default 1h)
+ * * recycleJitter (ms; each periodic recycle occurs at a random time up to this long
+ *   after recycleInterval; default 0)
+ * * recycleQuietPeriod ({start, end}, as UTC times of day like '02:30'; periodic
+ *   recycles that would occur outside this period are moved to a random time within
+ *   the next such period; default none)
+ * * maxRecycleDeferral (ms; delay a periodic recycle while registered consumers are
+ *   handling messages or publishers are publishing, for at most this long; default 0)
+ * * credentialsExpiryMargin (ms; default 5m)
  * * retirementDelay (ms; default 30s)
  * * minReconnectionInterval (ms; default 15s)
+ * * reconnectionPolicy (see reconnection.js; default fixed at minReconnectionInterval)
+ * * failureWindow (ms; connection failures in this window are counted in
+ *   `status().recentFailures`; default 10m)
+ * * heartbeat (seconds; default 120)
+ * * connectionName (shown in the RabbitMQ management UI; default `<namespace>/client-<id>`)
+ * * socketOptions (passed to amqplib.connect, such as `ca`, `cert`, `key`, and
+ *   `passphrase` for TLS, or `timeout` (ms; default 30s))
+ * * channelPoolSize (maximum channels per connection for withChannel; default no pooling)
  * * monitor (taskcluster-lib-monitor instance)
  *
  * The pulse namespace for this user is available as `client.namespace`.
+ *
+ * The number of connection attempts since the last healthy connection is
+ * available as `client.reconnectionAttempts`, and the time at which the next
+ * attempt will begin (if one is waiting) as `client.nextConnectionTime`.
+ *
+ * Consumers and publishers using this client register themselves in
+ * `client.consumers` and `client.publishers`.  Use `client.status()` for a
+ * snapshot of the client's state, and `client.healthCheck()` for a summary
+ * suitable for liveness and readiness checks.
+ *
+ * The client reports the following metrics to its monitor:
+ *  - pulse.connection.attempts -- count of connection attempts
+ *  - pulse.connection.failures -- count of connection failures
+ *  - pulse.connection.recycles -- count of recycles, including those due to failures
+ *  - pulse.connection.disconnected -- time (ms) spent without a connection, measured
+ *    at each new connection
+ *  - pulse.connection.blocked -- time (ms) a connection was blocked by the server
+ *
+ * When the server blocks a connection due to a resource alarm (flow control),
+ * the client emits `blocked` with the connection and the reason given by the
+ * server, and later `unblocked` with the connection.  A blocked connection is
+ * not considered failed.
  */
 class Client extends events.EventEmitter {
-  constructor({namespace, recycleInterval, retirementDelay, minReconnectionInterval, monitor, credentials,
+  constructor({namespace, recycleInterval, recycleJitter, recycleQuietPeriod, maxRecycleDeferral,
+    credentialsExpiryMargin, retirementDelay, minReconnectionInterval, reconnectionPolicy, failureWindow,
+    heartbeat, connectionName, socketOptions, channelPoolSize, monitor, credentials,
     username, password, hostname, vhost, connectionString}) {
     super();
 
@@ -49,38 +130,142 @@ class Client extends events.EventEmitter {
 
     assert(namespace, 'namespace is required');
     this.namespace = namespace;
+    this._recycleInterval = recycleInterval || 3600 * 1000;
+    this._recycleJitter = recycleJitter || 0;
+    if (recycleQuietPeriod) {
+      this._recycleQuietPeriod = {
+        start: parseTimeOfDay(recycleQuietPeriod.start),
+        end: parseTimeOfDay(recycleQuietPeriod.end),
+      };
+    }
+    this._maxRecycleDeferral = maxRecycleDeferral || 0;
+    this._credentialsExpiryMargin = credentialsExpiryMargin || 5 * 60 * 1000;
     this._retirementDelay = retirementDelay || 30 * 1000;
-    this._minReconnectionInterval = minReconnectionInterval || 15 * 1000;
+    this._reconnectionPolicy = reconnectionPolicy || fixedReconnectionPolicy({
+      interval: minReconnectionInterval || 15 * 1000,
+    });
     this.running = false;
     this.connections = [];
     this.lastConnectionTime = 0;
+    this.reconnectionAttempts = 0;
+    this.nextConnectionTime = null;
+    this.nextRecycleTime = null;
+    this._failureWindow = failureWindow || 10 * 60 * 1000;
+    // times of recent connection failures, oldest first
+    this._failureTimes = [];
+    this.lastConnectedTime = null;
+    this.disconnectedSince = new Date();
+    this.consumers = [];
+    this.publishers = [];
     this.id = ++clientCounter;
     this.debug = debug(`taskcluster-lib-pulse.client-${this.id}`);
+    this._connectOptions = {
+      heartbeat: typeof heartbeat === 'number' ? heartbeat : 120,
+      connectionName: connectionName || `${namespace}/client-${this.id}`,
+      socketOptions: socketOptions || {},
+      channelPoolSize,
+    };
 
     this.debug('starting');
     this.running = true;
     this.recycle();
-
-    this._recycleInterval = setInterval(
-      () => this.recycle(),
-      recycleInterval || 3600 * 1000);
   }
 
-  async stop() {
+  /**
+   * Stop the client, along with the consumers and publishers registered with it,
+   * in order:
+   *
+   *  1. stop consuming, and wait for in-flight message handlers to finish
+   *  2. wait for pending publishes to finish, and stop the publishers
+   *  3. close the connections (after their retirementDelay)
+   *
+   * If `timeout` (ms) is given and this takes longer than that, the connections
+   * are closed immediately, abandoning any in-flight message handlers and
+   * publishes.  In that case, this method reports an error to the monitor and
+   * returns a description of what was abandoned:
+   *
+   * {
+   *   consumers: [{queueName, processingMessages}],  // with messages still in process
+   *   publishers: [{exchanges, pendingPublishes}],   // with publishes still pending
+   *   connections: [id, ..],                         // connections that were not finished
+   * }
+   *
+   * Otherwise it returns null.
+   */
+  async stop({timeout} = {}) {
     assert(this.running, 'Not running');
+    assert(!this.stopping, 'Already stopping');
     this.debug('stopping');
+    this.stopping = true;
+
+    let timedOut = false;
+    let timeoutTimer;
+    const timeoutPromise = new Promise(resolve => {
+      if (timeout !== undefined) {
+        timeoutTimer = setTimeout(() => {
+          timedOut = true;
+          resolve();
+        }, timeout);
+      }
+    });
+    const withTimeout = promise => Promise.race([promise, timeoutPromise]);
+
+    // stop consuming and wait for message handlers, then flush publishes; errors
+    // here should not prevent the client from stopping
+    const consumers = this.consumers;
+    await withTimeout(Promise.all(consumers.map(
+      consumer => consumer.stop().catch(err => this.monitor.reportError(err)))));
+
+    const publishers = this.publishers;
+    if (!timedOut) {
+      await withTimeout(Promise.all(publishers.map(
+        publisher => publisher.flush().then(() => publisher.stop()).catch(err => this.monitor.reportError(err)))));
+    }
+
     this.running = false;
-    clearInterval(this._recycleInterval);
-    this._recycleInterval = null;
+    clearTimeout(this._recycleTimer);
+    this._recycleTimer = null;
+    this.nextRecycleTime = null;
+    clearTimeout(this._resetTimer);
+    this._resetTimer = null;
+    this.nextConnectionTime = null;
 
     this.recycle();
 
     // wait until all existing connections are finished
     const unfinished = this.connections.filter(conn => conn.state !== 'finished');
-    if (unfinished.length > 0) {
-      await Promise.all(unfinished.map(
-        conn => new Promise(resolve => { conn.once('finished', resolve); })));
+    if (!timedOut && unfinished.length > 0) {
+      await withTimeout(Promise.all(unfinished.map(
+        conn => new Promise(resolve => { conn.once('finished', resolve); }))));
+    }
+    clearTimeout(timeoutTimer);
+    this.stopping = false;
+
+    if (!timedOut) {
+      return null;
     }
+
+    const abandoned = {
+      consumers: consumers
+        .filter(consumer => consumer.processingMessages > 0)
+        .map(({queueName, processingMessages}) => ({queueName, processingMessages})),
+      publishers: publishers
+        .filter(publisher => publisher.pendingPublishes > 0)
+        .map(publisher => ({
+          exchanges: publisher.status().exchanges,
+          pendingPublishes: publisher.pendingPublishes,
+        })),
+      connections: this.connections
+        .filter(conn => conn.state !== 'finished')
+        .map(conn => conn.id),
+    };
+    this.connections.forEach(conn => conn.finish());
+
+    const err = new Error(`Client.stop timed out after ${timeout}ms; closed connections immediately`);
+    err.abandoned = abandoned;
+    this.monitor.reportError(err);
+
+    return abandoned;
   }
 
   /**
@@ -98,21 +283,43 @@ class Client extends events.EventEmitter {
       if (this.connections.length) {
         const currentConn = this.connections[0];
         currentConn.retire();
+        if (this.running) {
+          this.monitor.count('pulse.connection.recycles');
+        }
+      }
+
+      if (!this.disconnectedSince) {
+        this.disconnectedSince = new Date();
       }
 
       if (this.running) {
         const newConn = this._startConnection();
 
         newConn.once('connected', () => {
+          this.lastConnectedTime = new Date();
+          this.monitor.measure('pulse.connection.disconnected', this.lastConnectedTime - this.disconnectedSince);
+          this.disconnectedSince = null;
+          this._resetReconnectionAttempts(newConn);
           this.emit('connected', newConn);
         });
         newConn.once('finished', () => {
           this.connections = this.connections.filter(conn => conn !== newConn);
         });
+        newConn.on('blocked', reason => {
+          this.emit('blocked', newConn, reason);
+        });
+        newConn.on('unblocked', duration => {
+          this.monitor.measure('pulse.connection.blocked', duration);
+          this.emit('unblocked', newConn);
+        });
         newConn.once('failed', () => {
+          this._failureTimes.push(new Date().getTime());
+          this.monitor.count('pulse.connection.failures');
           this.recycle();
         });
         this.connections.unshift(newConn);
+
+        this._scheduleRecycle(this._nextPeriodicRecycleTime(), {periodic: true});
       }
     } catch (err) {
       this.monitor.reportError(err);
@@ -123,9 +330,11 @@ class Client extends events.EventEmitter {
     // This method is part of recycle() and bears the same cautions about failure
     const newConn = new Connection(this._retirementDelay);
 
-    // don't actually start connecting until at least minReconnectionInterval has passed
-    const earliestConnectionTime = this.lastConnectionTime + this._minReconnectionInterval;
+    // don't actually start connecting until the reconnection policy's delay has passed
+    const delay = this._reconnectionPolicy.delay(this.reconnectionAttempts);
+    const earliestConnectionTime = this.lastConnectionTime + delay;
     const now = new Date().getTime();
+    this.nextConnectionTime = new Date(Math.max(now, earliestConnectionTime));
     setTimeout(async () => {
       if (newConn.state !== 'waiting') {
         // the connection is no longer waiting, so don't proceed with
@@ -135,9 +344,17 @@ class Client extends events.EventEmitter {
       }
 
       try {
+        this.nextConnectionTime = null;
+        this.reconnectionAttempts++;
+        this.monitor.count('pulse.connection.attempts');
         this.lastConnectionTime = new Date().getTime();
-        const {connectionString} = await this.credentials();
-        newConn.connect(connectionString);
+        const {connectionString, connectionStrings, expires, recycleAt} = await this.credentials();
+        if (newConn.state !== 'waiting') {
+          return;
+        }
+        this._scheduleCredentialsRecycle({expires, recycleAt});
+        const endpoint = this._chooseEndpoint(newConn, connectionStrings || [connectionString]);
+        newConn.connect(endpoint, this._connectOptions);
       } catch (err) {
         this.debug(`Error while fetching credentials: ${err}`);
         newConn.failed();
@@ -147,6 +364,192 @@ class Client extends events.EventEmitter {
     return newConn;
   }
 
+  /**
+   * Choose the connection string for the given new connection: the same one as
+   * the last connection, unless that connection failed, in which case the next
+   * one in the list.  Connection strings are compared by endpoint, since the
+   * credentials may change from one call to the next.
+   */
+  _chooseEndpoint(conn, connectionStrings) {
+    assert(connectionStrings.length > 0 && connectionStrings.every(cs => cs),
+      'credentials must include connectionString or a non-empty connectionStrings');
+
+    let index = 0;
+    const last = this._lastEndpoint;
+    if (last) {
+      index = connectionStrings.findIndex(cs => endpointOf(cs) === last.endpoint);
+      if (index === -1) {
+        index = 0;
+      } else if (last.failed) {
+        index = (index + 1) % connectionStrings.length;
+      }
+    }
+
+    const connectionString = connectionStrings[index];
+    const endpoint = {endpoint: endpointOf(connectionString), failed: false};
+    conn.once('failed', () => { endpoint.failed = true; });
+    this._lastEndpoint = endpoint;
+    return connectionString;
+  }
+
+  /**
+   * Arrange to call recycle() at the given time, replacing any previously
+   * scheduled recycle.  Periodic recycles may be deferred while busy.
+   */
+  _scheduleRecycle(when, {periodic = false} = {}) {
+    clearTimeout(this._recycleTimer);
+    this.nextRecycleTime = when;
+    this._recycleTimer = setTimeout(
+      () => periodic ? this._periodicRecycle() : this.recycle(),
+      Math.max(when.getTime() - new Date().getTime(), 0));
+  }
+
+  /**
+   * Calculate the time of the next periodic recycle, applying recycleJitter
+   * and recycleQuietPeriod.
+   */
+  _nextPeriodicRecycleTime() {
+    let when = new Date().getTime() + this._recycleInterval + Math.random() * this._recycleJitter;
+
+    const quiet = this._recycleQuietPeriod;
+    if (quiet) {
+      const day = 24 * 3600 * 1000;
+      const length = (quiet.end - quiet.start + day) % day || day;
+      const midnight = when - when % day;
+      // the start of the quiet period containing `when`, or the next one
+      let start = midnight + quiet.start;
+      if (start > when) {
+        start -= day;
+      }
+      if (when >= start + length) {
+        start += day;
+        when = start + Math.random() * length;
+      }
+    }
+
+    return new Date(when);
+  }
+
+  /**
+   * Recycle now, unless consumers or publishers are busy and maxRecycleDeferral
+   * allows waiting a little longer.
+   */
+  _periodicRecycle(deferredSince) {
+    const now = new Date().getTime();
+    deferredSince = deferredSince || now;
+    const remaining = deferredSince + this._maxRecycleDeferral - now;
+    const busy = this.consumers.some(consumer => consumer.processingMessages > 0) ||
+      this.publishers.some(publisher => publisher.pendingPublishes > 0);
+
+    if (busy && remaining > 0) {
+      this.debug('deferring recycle while messages are in flight');
+      const delay = Math.min(remaining, 100);
+      this.nextRecycleTime = new Date(now + delay);
+      this._recycleTimer = setTimeout(() => this._periodicRecycle(deferredSince), delay);
+      return;
+    }
+
+    this.recycle();
+  }
+
+  /**
+   * Given the expiration information returned from the credentials function,
+   * schedule a recycle before the credentials expire, if that is sooner than
+   * the next scheduled recycle.
+   */
+  _scheduleCredentialsRecycle({expires, recycleAt}) {
+    if (!recycleAt && expires) {
+      // recycle a margin before expiration, but never use more than half of the
+      // remaining lifetime as a margin, so that short-lived credentials are not
+      // recycled continuously
+      const expiresTime = new Date(expires).getTime();
+      const remaining = Math.max(expiresTime - new Date().getTime(), 0);
+      recycleAt = expiresTime - Math.min(this._credentialsExpiryMargin, remaining / 2);
+    }
+
+    if (recycleAt) {
+      recycleAt = new Date(recycleAt);
+      if (!this.nextRecycleTime || recycleAt < this.nextRecycleTime) {
+        this.debug(`credentials require a recycle at ${recycleAt}`);
+        this._scheduleRecycle(recycleAt);
+      }
+    }
+  }
+
+  /**
+   * Reset the count of reconnection attempts once the given connection has
+   * stayed connected for the reconnection policy's `resetAfter` interval.
+   */
+  _resetReconnectionAttempts(conn) {
+    clearTimeout(this._resetTimer);
+    this._resetTimer = setTimeout(() => {
+      this._resetTimer = null;
+      if (conn.state === 'connected') {
+        this.reconnectionAttempts = 0;
+      }
+    }, this._reconnectionPolicy.resetAfter || 0);
+  }
+
+  /**
+   * The number of connection failures within the last `failureWindow`
+   */
+  get recentFailures() {
+    const since = new Date().getTime() - this._failureWindow;
+    while (this._failureTimes.length > 0 && this._failureTimes[0] <= since) {
+      this._failureTimes.shift();
+    }
+    return this._failureTimes.length;
+  }
+
+  /**
+   * Get a snapshot of the state of this client, its connections, and the
+   * consumers and publishers using it.  `recentFailures` counts connection
+   * failures within the last `failureWindow`.  Times are Date objects, and
+   * durations are in milliseconds.
+   */
+  status() {
+    const now = new Date();
+    return {
+      namespace: this.namespace,
+      running: this.running,
+      connections: this.connections.map(conn => conn.status()),
+      reconnectionAttempts: this.reconnectionAttempts,
+      nextConnectionTime: this.nextConnectionTime,
+      nextRecycleTime: this.nextRecycleTime,
+      recentFailures: this.recentFailures,
+      lastConnectedTime: this.lastConnectedTime,
+      timeSinceLastConnected: this.lastConnectedTime ? now - this.lastConnectedTime : null,
+      disconnectedTime: this.disconnectedSince ? now - this.disconnectedSince : 0,
+      consumers: this.consumers.map(consumer => consumer.status()),
+      publishers: this.publishers.map(publisher => publisher.status()),
+    };
+  }
+
+  /**
+   * Check the health of this client, returning `{alive, ready, status}`.  The
+   * client is `ready` when it has an active connection, so it can be used for
+   * readiness checks.  It is `alive` while it is running and has not been
+   * without an active connection for more than `maxDisconnectedTime` (ms;
+   * default 5m), so it can be used for liveness checks.  The `status` property
+   * contains the result of `client.status()`.
+   */
+  healthCheck({maxDisconnectedTime} = {}) {
+    maxDisconnectedTime = typeof maxDisconnectedTime === 'number' ? maxDisconnectedTime : 5 * 60 * 1000;
+    const status = this.status();
+    return {
+      alive: this.running && status.disconnectedTime <= maxDisconnectedTime,
+      ready: Boolean(this.activeConnection),
+      status,
+    };
+  }
+
+  /**
+   * Consume messages as an async iterable; see MessageStream in consumer.js.
+   */
+  messages(options) {
+    return messages({client: this, ...options});
+  }
+
   /**
    * Get a full object name, following the Pulse security model,
    * `<kind>/<namespace>/<name>`.  This is useful for manipulating these objects
@@ -204,9 +607,24 @@ class Client extends events.EventEmitter {
   /**
    * Run the given async function with an amqplib channel or confirmChannel. This wraps
    * withConnection to handle closing the channel.
+   *
+   * If `channelPoolSize` was given, the channel comes from the connection's
+   * channel pool, and is returned to the pool afterward instead of being closed.
+   * The function should leave a pooled channel as it found it, for example by
+   * cancelling any consumers it starts.  A pooled channel that fails is
+   * discarded, without recycling the connection.
    */
   withChannel(fn, {confirmChannel} = {}) {
     return this.withConnection(async conn => {
+      if (conn.channelPool) {
+        const channel = await conn.channelPool.acquire({confirmChannel});
+        try {
+          return await fn(channel);
+        } finally {
+          conn.channelPool.release(channel);
+        }
+      }
+
       const method = confirmChannel ? 'createConfirmChannel' : 'createChannel';
       const channel = await conn.amqp[method]();
 
@@ -234,17 +652,40 @@ exports.Client = Client;
 /**
  * A fake client is basically just a semaphore for users like PulseConsumer to
  * invoke their own fakery, but has a few fake methods of its own that do nothing.
+ *
+ * It also hosts an in-memory broker (`client.broker`) with topic-exchange
+ * semantics, so messages sent by fake publishers are delivered to fake
+ * consumers with matching bindings.  Its status includes the namespace, if
+ * given as an option, and the fake consumers and publishers using it.
  */
 class FakeClient {
-  constructor() {
+  constructor({namespace} = {}) {
     this.isFakeClient = true;
+    this.namespace = namespace;
     this.debug = debug('taskcluster-lib-pulse.conn-fake');
+    this.broker = new FakeBroker();
+    this.consumers = [];
+    this.publishers = [];
   }
 
   async stop() { }
   async recycle() {}
   get activeConnection() {}
 
+  status() {
+    return {
+      namespace: this.namespace,
+      running: true,
+      connections: [],
+      consumers: this.consumers.map(consumer => consumer.status()),
+      publishers: this.publishers.map(publisher => publisher.status()),
+    };
+  }
+
+  healthCheck() {
+    return {alive: true, ready: true, status: this.status()};
+  }
+
   async onConnected() {
     this.debug('FakeClient.onConnected will never call its callback');
   }
@@ -256,6 +697,10 @@ class FakeClient {
   async withChannel() {
     this.debug('FakeClient.withChannel returns immediately without calling its callback');
   }
+
+  messages(options) {
+    return messages({client: this, ...options});
+  }
 }
 
 exports.FakeClient = FakeClient;
@@ -269,7 +714,8 @@ let nextConnectionId = 1;
  * objects in the same process at the same time, while one is being "retired" but
  * is lingering around to send ack's for any in-flight message handlers.
  *
- * The instance's `amqp` property is the amqp connection object.  In the event of any
+ * The instance's `amqp` property is the amqp connection object, and its
+ * `channelPool` property is a ChannelPool if channel pooling is enabled.  In the event of any
  * issues with the connection, call the instance's `failed` method.  This will initiate
  * a retirement of the connection and creation of a new connection.
  *
@@ -285,6 +731,11 @@ let nextConnectionId = 1;
  *
  * The instance will emit `finished` when the connection is finally closed.
  *
+ * The instance will emit `blocked` with the server's reason when the server
+ * blocks the connection for flow control, and `unblocked` with the duration
+ * of the block (ms) when that ends.  While blocked, `blocked` is true and
+ * publishes on this connection will not complete.
+ *
  * A connection's state can be one of
  *
  *  - waiting -- waiting for a call to connect() (for minReconnectionInterval)
@@ -304,25 +755,55 @@ class Connection extends events.EventEmitter {
     this.retirementDelay = retirementDelay;
     this.id = nextConnectionId++;
     this.amqp = null;
+    this.channelPool = null;
+    this.endpoint = null;
+    this.connectedTime = null;
+    this.blocked = false;
+    this.blockedReason = null;
+    this.blockedSince = null;
     this.debug = debug(`taskcluster-lib-pulse.conn-${this.id}`);
 
     this.debug('waiting');
     this.state = 'waiting';
   }
 
-  async connect(connectionString) {
+  /**
+   * Connect to the server.  The options are
+   *  - heartbeat: heartbeat interval to request, in seconds, unless the
+   *    connection string already specifies one
+   *  - connectionName: name to give the connection in its client properties
+   *  - socketOptions: additional socket options for amqplib.connect
+   *  - channelPoolSize: if set, the size of the channel pool to create
+   */
+  async connect(connectionString, {heartbeat, connectionName, socketOptions, channelPoolSize} = {}) {
     if (this.state !== 'waiting') {
       return;
     }
 
-    this.debug('connecting');
+    // record the endpoint, without credentials, for debugging
+    this.endpoint = endpointOf(connectionString);
+
+    this.debug(`connecting to ${this.endpoint}`);
     this.state = 'connecting';
 
-    const amqp = await amqplib.connect(connectionString, {
-      heartbeat: 120,
+    // amqplib only takes the heartbeat from the connection string
+    if (heartbeat !== undefined && !/[?&]heartbeat=/.test(connectionString)) {
+      connectionString += `${connectionString.includes('?') ? '&' : '?'}heartbeat=${heartbeat}`;
+    }
+
+    socketOptions = {
       noDelay: true,
       timeout: 30 * 1000,
-    }).catch(err => {
+      ...socketOptions,
+    };
+    if (connectionName) {
+      socketOptions.clientProperties = {
+        ...socketOptions.clientProperties,
+        connection_name: connectionName,
+      };
+    }
+
+    const amqp = await amqplib.connect(connectionString, socketOptions).catch(err => {
       this.debug(`Error while connecting: ${err}`);
       this.failed();
     });
@@ -335,6 +816,9 @@ class Connection extends events.EventEmitter {
         return;
       }
       this.amqp = amqp;
+      if (channelPoolSize) {
+        this.channelPool = new ChannelPool(amqp, {size: channelPoolSize});
+      }
 
       amqp.on('error', err => {
         if (this.state === 'connected') {
@@ -350,12 +834,44 @@ class Connection extends events.EventEmitter {
         }
       });
 
+      amqp.on('blocked', reason => {
+        this.debug(`blocked by server: ${reason}`);
+        this.blocked = true;
+        this.blockedReason = reason;
+        this.blockedSince = new Date();
+        this.emit('blocked', reason);
+      });
+
+      amqp.on('unblocked', () => {
+        if (!this.blocked) {
+          return;
+        }
+        this.debug('unblocked by server');
+        const duration = new Date() - this.blockedSince;
+        this.blocked = false;
+        this.blockedReason = null;
+        this.blockedSince = null;
+        this.emit('unblocked', duration);
+      });
+
       this.debug('connected');
       this.state = 'connected';
+      this.connectedTime = new Date();
       this.emit('connected');
     }
   }
 
+  status() {
+    return {
+      id: this.id,
+      state: this.state,
+      endpoint: this.endpoint,
+      connectedTime: this.connectedTime,
+      blocked: this.blocked,
+      blockedReason: this.blockedReason,
+    };
+  }
+
   failed() {
     if (this.state === 'retired' || this.state === 'finished') {
       // failure doesn't matter at this point
@@ -374,17 +890,33 @@ class Connection extends events.EventEmitter {
     this.state = 'retiring';
     this.emit('retiring');
 
+    if (this.channelPool) {
+      this.channelPool.drain().catch(err => {});
+    }
+
     // actually close this connection 30 seconds later
-    setTimeout(() => {
-      this.debug('finished; closing AMQP connection');
-      if (this.amqp) {
-        // ignore errors in close
-        this.amqp.close().catch(err => {});
-      }
-      this.amqp = null;
-      this.state = 'finished';
-      this.emit('finished');
-    }, this.retirementDelay);
+    this._finishTimer = setTimeout(() => this.finish(), this.retirementDelay);
+  }
+
+  /**
+   * Close this connection immediately.  This is normally called after the
+   * retirementDelay, but can be called earlier to abandon anything still using
+   * the connection.
+   */
+  finish() {
+    if (this.state === 'finished') {
+      return;
+    }
+    clearTimeout(this._finishTimer);
+
+    this.debug('finished; closing AMQP connection');
+    if (this.amqp) {
+      // ignore errors in close
+      this.amqp.close().catch(err => {});
+    }
+    this.amqp = null;
+    this.state = 'finished';
+    this.emit('finished');
   }
 }
 
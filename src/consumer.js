@@ -3,6 +3,90 @@ const events = require('events');
 const amqplib = require('amqplib');
 const assert = require('assert');
 const slugid = require('slugid');
+const libUrls = require('taskcluster-lib-urls');
+const {metricTag} = require('./metrics');
+const {deadLetterQueueName, deadLetterHeaders} = require('./deadletter');
+const {reconcileBindings} = require('./reconcile');
+
+/**
+ * Get the exchange and routing key on which a message was originally published.
+ * Messages replayed from a dead-letter queue arrive directly on the queue, but
+ * carry their original exchange and routing key in headers.
+ */
+const messageOrigin = msg => {
+  const headers = msg.properties && msg.properties.headers || {};
+  if (msg.fields.exchange === '' && headers['x-pulse-original-exchange']) {
+    return {
+      exchange: headers['x-pulse-original-exchange'],
+      routingKey: headers['x-pulse-original-routing-key'],
+    };
+  }
+  return {exchange: msg.fields.exchange, routingKey: msg.fields.routingKey};
+};
+
+/**
+ * Thrown from a handleMessage function to return the message to the queue,
+ * without treating it as a failure.
+ */
+class ReleaseMessage extends Error {}
+
+/**
+ * Thrown when a message does not match its exchange's schema
+ */
+class InvalidMessage extends Error {}
+
+/**
+ * Thrown when a handler does not finish within the handlerTimeout.  Its
+ * `handlerFinished` property is a promise that resolves when the abandoned
+ * handler does finish, successfully or not.
+ */
+class HandlerTimeout extends Error {}
+
+/**
+ * A minimal AbortController, for versions of Node that do not have one.  Its
+ * signal has `aborted` and emits `abort`, and supports addEventListener and
+ * removeEventListener like the DOM AbortSignal.
+ */
+class AbortControllerShim {
+  constructor() {
+    const signal = new events.EventEmitter();
+    signal.aborted = false;
+    signal.addEventListener = (type, listener) => signal.on(type, listener);
+    signal.removeEventListener = (type, listener) => signal.removeListener(type, listener);
+    this.signal = signal;
+  }
+
+  abort() {
+    if (!this.signal.aborted) {
+      this.signal.aborted = true;
+      this.signal.emit('abort');
+    }
+  }
+}
+
+const createAbortController = () =>
+  typeof global.AbortController === 'function' ? new global.AbortController() : new AbortControllerShim();
+
+const checkBindings = bindings => {
+  assert(Array.isArray(bindings), 'bindings must be an array');
+  bindings.forEach(({exchange, routingKeyPattern}) => {
+    assert(exchange, 'bindings must have an exchange');
+    assert(routingKeyPattern, 'bindings must have a routingKeyPattern');
+  });
+};
+
+const checkValidate = (validate, deadLetter) => {
+  const {rootUrl, schemaset, reference, onInvalid = 'reject'} = validate;
+  assert(rootUrl, 'validate.rootUrl is required');
+  assert(schemaset, 'validate.schemaset is required');
+  assert(reference, 'validate.reference is required');
+  assert(['reject', 'deadLetter', 'attach'].includes(onInvalid),
+    'validate.onInvalid must be reject, deadLetter, or attach');
+  assert(onInvalid !== 'deadLetter' || deadLetter, 'validate.onInvalid of deadLetter requires deadLetter');
+  return {rootUrl, schemaset, reference, onInvalid};
+};
+
+const sameBinding = (a, b) => a.exchange === b.exchange && a.routingKeyPattern === b.routingKeyPattern;
 
 /**
  * A PulseConsumer declares a queue and listens for messages on that
@@ -11,17 +95,170 @@ const slugid = require('slugid');
  * If ephemeral is true, then this consumer will use ephemeral queues
  * that are deleted on disconnection.  This may lead to loss of messages,
  * and the caller must handle this via the onConnected handler.
+ *
+ * By default, a message for which handleMessage fails is requeued once, and
+ * dropped if it fails again.  If retry is given, as `{maxAttempts, delays}`, a
+ * failed message is instead retried after a delay, up to a total of maxAttempts
+ * attempts (default: one more than the number of delays).  The delays (ms;
+ * default 10s, 1m, 10m) apply to successive retries, with the last repeating
+ * as necessary.  Delayed messages wait in a delay queue for each delay, named
+ * `<queueName>/retry-<delay>`, and the number of attempts so far is carried in
+ * the message's `x-pulse-attempts` header.  A failed message is only removed
+ * from the queue once the server confirms its delayed copy.
+ *
+ * If reconcile is given, as `{managementUrl, vhost, dryRun, timeout}`, then
+ * when the consumer starts it removes any bindings of its queue that are not
+ * in `bindings`, and records what it did (or would do, with dryRun) in
+ * `consumer.reconcileReport`; see reconcile.js.
+ *
+ * If deadLetter is given, messages that fail for the last time are republished
+ * to a dead-letter queue rather than dropped; see deadletter.js.  Ephemeral
+ * consumers do not support retry or dead-lettering.
+ *
+ * If validate is given, as `{rootUrl, schemaset, reference, onInvalid}`, each
+ * message's payload is validated before it is handled, against the schema of
+ * the exchange it came from.  The schemas for each exchange are found in
+ * `reference`, an exchanges reference document (such as that returned from
+ * `exchanges.reference()`) or an array of them; messages from other exchanges
+ * are not validated.  Invalid messages are not retried.  With onInvalid set to
+ * 'reject' (the default), they are dropped; with 'deadLetter', they are
+ * dead-lettered (requiring the deadLetter option); and with 'attach', they are
+ * handled anyway, with the validation error in `message.validationError`.
+ *
+ * If manualAck is true, the consumer does not acknowledge messages when
+ * handleMessage resolves.  Instead, each message has functions to settle it,
+ * which may be called at any time, even after handleMessage has returned:
+ *  - message.ack() -- the message was handled successfully
+ *  - message.nack({requeue}) -- return the message to the queue (the default),
+ *    or with requeue false, treat it as failed, as if handleMessage had failed
+ *  - message.reject() -- drop the message
+ * If handleMessage fails without settling the message, it is treated as failed
+ * as usual.  Messages still outstanding when their channel closes, such as when
+ * the client recycles, are redelivered; trying to settle them afterward throws
+ * an error.  Unsettled messages count against the prefetch, and `stop` waits
+ * for them to be settled.
+ *
+ * Handlers are called as `handleMessage(message, {signal})` (or
+ * `handleBatch(messages, {signal})`), where signal is an AbortSignal.  If
+ * handlerTimeout (ms) is given, a handler that has not finished within that
+ * time is abandoned: its signal is aborted, so that it can cancel its work, and
+ * the message fails as if the handler had failed, reporting the timeout.  This
+ * prevents a hung handler from holding a prefetch slot, or delaying a recycle,
+ * forever.  It is not supported with manualAck.
+ *
+ * Handlers run concurrently, up to the prefetch.  If orderingKey is given, as
+ * a function of the message (for example, `message => message.routing.taskId`),
+ * then messages with the same key are handled one at a time, in the order in
+ * which they were delivered, while messages with different keys are still
+ * handled concurrently.  Messages for which orderingKey returns undefined or
+ * null are not ordered.  Note that a message that fails and is requeued or
+ * retried is redelivered after later messages with the same key.  With
+ * manualAck, a message's handler is called once the handlers (but not
+ * necessarily the acknowledgements) of earlier messages have finished.
+ * orderingKey is not supported with handleBatch, which already handles one batch
+ * at a time.
+ *
+ * If circuitBreaker is given, as `{threshold, window, minimumMessages,
+ * cooldown}`, the consumer stops consuming while handleMessage is failing, so
+ * that an outage of some dependency does not cause messages to be dropped.
+ * Once at least minimumMessages (default 10) messages have been handled in the
+ * last window (ms; default 1m), and the fraction of them that failed reaches
+ * threshold (default 0.5), the breaker opens: consumption stops, and messages
+ * remain on the queue.  After cooldown (ms; default 30s) the breaker is
+ * half-open, and the consumer tries a single message.  If that succeeds, the
+ * breaker closes and consumption resumes; otherwise it opens again.  Messages
+ * that fail while the breaker is not closed are returned to the queue, rather
+ * than retried or dropped.  Each change of state emits a `breaker` event with
+ * the new state ('open', 'half-open' or 'closed').  The circuit breaker is not
+ * supported with handleBatch or manualAck.
+ *
+ * Instead of handleMessage, a consumer can be given handleBatch, which is
+ * called with an array of messages.  A batch is handled once batchSize
+ * messages (default, and at most, the prefetch) have arrived, or batchTimeout
+ * (ms; default 1s) after its first message arrived, whichever is first.  Batches
+ * are handled one at a time, and acknowledged together when handleBatch
+ * succeeds.  If it fails, batchFailure determines what happens: with 'nack'
+ * (the default), every message in the batch fails as if handleMessage had
+ * failed; with 'individual', handleBatch is called again for each message on
+ * its own, and only the messages that fail again are treated as failed.  If
+ * handleBatch timed out, the messages are not handled again individually until
+ * the abandoned call has finished, so handlers should stop promptly when their
+ * signal is aborted.
+ *
+ * The consumer reports the following metrics to the client's monitor, where
+ * <queue> is the queue name (or `ephemeral` for ephemeral queues) and
+ * <exchange> is the exchange on which the message arrived:
+ *  - pulse.consumer.<queue>.<exchange>.consumed -- count of messages received
+ *  - pulse.consumer.<queue>.<exchange>.duration -- time (ms) spent in handleMessage
+ *  - pulse.consumer.<queue>.<exchange>.nacked -- count of failed messages requeued
+ *  - pulse.consumer.<queue>.<exchange>.retried -- count of failed messages sent to a delay queue
+ *  - pulse.consumer.<queue>.<exchange>.dropped -- count of failed messages dropped
+ *  - pulse.consumer.<queue>.<exchange>.deadLettered -- count of failed messages dead-lettered
+ *  - pulse.consumer.<queue>.<exchange>.invalid -- count of messages that failed validation
+ *  - pulse.consumer.<queue>.<exchange>.timedOut -- count of messages whose handler exceeded handlerTimeout
+ *  - pulse.consumer.<queue>.batch.size -- number of messages in each batch (handleBatch only)
+ *  - pulse.consumer.<queue>.batch.duration -- time (ms) spent in handleBatch, for the whole batch
+ *  - pulse.consumer.<queue>.breaker.<state> -- count of circuit breaker changes to each state
  */
-class PulseConsumer {
-  constructor({client, bindings, queueName, ephemeral, prefetch, onConnected, handleMessage, ...queueOptions}) {
-    assert(handleMessage, 'Must provide a message handler function');
+class PulseConsumer extends events.EventEmitter {
+  constructor({client, bindings, queueName, ephemeral, prefetch, deadLetter, retry, reconcile,
+    validate, manualAck, handlerTimeout, orderingKey, circuitBreaker, onConnected, handleMessage, handleBatch,
+    batchSize, batchTimeout, batchFailure, ...queueOptions}) {
+    super();
+    assert(handleMessage || handleBatch, 'Must provide a message handler function');
+    assert(!(handleMessage && handleBatch), 'Must not provide both handleMessage and handleBatch');
+    assert(!(manualAck && handleBatch), 'manualAck is not supported with handleBatch');
 
     this.client = client;
     this.bindings = bindings;
     this.handleMessage = handleMessage;
     this.prefetch = typeof prefetch !== 'undefined' ? prefetch : 5;
+    this.manualAck = Boolean(manualAck);
     this.queueOptions = queueOptions;
 
+    if (handlerTimeout) {
+      assert(!manualAck, 'handlerTimeout is not supported with manualAck');
+      assert(handlerTimeout > 0, 'handlerTimeout must be positive');
+      this.handlerTimeout = handlerTimeout;
+    }
+
+    if (orderingKey) {
+      assert(!handleBatch, 'orderingKey is not supported with handleBatch');
+      assert(typeof orderingKey === 'function', 'orderingKey must be a function');
+      this.orderingKey = orderingKey;
+    }
+    // for each ordering key, a promise for the last message with that key
+    this._orderingLocks = new Map();
+
+    if (circuitBreaker) {
+      assert(!handleBatch && !manualAck, 'circuitBreaker is not supported with handleBatch or manualAck');
+      const {threshold = 0.5, window = 60 * 1000, minimumMessages = 10, cooldown = 30 * 1000} = circuitBreaker;
+      assert(threshold > 0 && threshold <= 1, 'circuitBreaker.threshold must be between 0 and 1');
+      assert(window > 0 && cooldown > 0, 'circuitBreaker window and cooldown must be positive');
+      this.breaker = {
+        threshold, window, minimumMessages, cooldown,
+        state: 'closed',
+        // outcomes of recent messages, as {time, ok}
+        outcomes: [],
+        // the message being used to probe, when half-open
+        probe: null,
+        cooldownTimer: null,
+      };
+    }
+
+    if (handleBatch) {
+      this.handleBatch = handleBatch;
+      this.batchSize = batchSize || this.prefetch;
+      assert(this.batchSize <= this.prefetch, 'batchSize must not exceed prefetch');
+      this.batchTimeout = typeof batchTimeout !== 'undefined' ? batchTimeout : 1000;
+      this.batchFailure = batchFailure || 'nack';
+      assert(['nack', 'individual'].includes(this.batchFailure), 'batchFailure must be nack or individual');
+
+      // the batch being collected, if any, and a promise for the batch being handled
+      this.batch = null;
+      this._batchLock = Promise.resolve();
+    }
+
     if (ephemeral) {
       assert(!queueName, 'Must not pass a queueName for ephemeral consumers');
       assert(onConnected, 'Must pass onConnected for ephemeral consumers');
@@ -33,19 +270,53 @@ class PulseConsumer {
     this.ephemeral = ephemeral;
     this.onConnected = onConnected || (() => {});
 
+    if (deadLetter) {
+      assert(!ephemeral, 'Ephemeral consumers do not support deadLetter');
+      this.deadLetterQueueName = deadLetterQueueName(this.queueName, deadLetter);
+    }
+
+    if (validate) {
+      this.validate = checkValidate(validate, deadLetter);
+    }
+
+    if (reconcile) {
+      assert(!ephemeral, 'Ephemeral consumers do not support reconcile');
+      assert(reconcile.managementUrl, 'reconcile.managementUrl is required');
+      this.reconcile = reconcile;
+    }
+
+    if (retry) {
+      assert(!ephemeral, 'Ephemeral consumers do not support retry');
+      const {delays = [10 * 1000, 60 * 1000, 10 * 60 * 1000]} = retry;
+      const {maxAttempts = delays.length + 1} = retry;
+      assert(delays.length > 0 && delays.every(delay => delay > 0), 'retry delays must be positive');
+      assert(maxAttempts >= 1, 'retry maxAttempts must be at least 1');
+      this.retry = {maxAttempts, delays};
+    }
+
     this._handleConnection = this._handleConnection.bind(this);
+    this.debug = debug('PulseConsumer');
 
     // false once stop() has been called
     this.running = true;
 
-    // the current channel and consumerTag, if any
+    // true while paused by pause()
+    this.paused = false;
+
+    // the current channel, if any, and the state of consumption from it, as
+    // {channel, queueName, onMessage, prefetch, consumerTag, closing}
     this.channel = null;
-    this.consumerTag = null;
+    this._consumption = null;
+    // a promise for the most recent change to consumption
+    this._consumptionLock = Promise.resolve();
 
     // number of messages being processed right now, and a function to call
     // when that number goes to zero
     this.processingMessages = 0;
     this.idleCallback = null;
+
+    // a promise for the most recent change to the queue's bindings
+    this._bindingsLock = Promise.resolve();
   }
 
   /**
@@ -56,11 +327,18 @@ class PulseConsumer {
    * In the public API, this is called automatically by `consume`
    */
   async _start() {
+    await this._createValidator();
+
     // first make sure the queue is bound
-    await this.client.withChannel(channel => this._createAndBindQueue(channel));
+    await this.client.withChannel(channel => this._withBindingsLock(() => this._createAndBindQueue(channel)));
+
+    if (this.reconcile) {
+      await this._withBindingsLock(() => this._reconcileBindings());
+    }
 
     // then set up to call _handleConnection on all connections
     this.client.onConnected(this._handleConnection);
+    this.client.consumers.push(this);
   }
 
   /**
@@ -74,21 +352,267 @@ class PulseConsumer {
       return;
     }
     this.running = false;
+    this.client.consumers = this.client.consumers.filter(consumer => consumer !== this);
+    if (this.breaker) {
+      clearTimeout(this.breaker.cooldownTimer);
+    }
 
     return this._shutdown();
   }
 
+  /**
+   * Add bindings to the queue.  The new bindings are applied to the queue
+   * immediately (waiting for a connection if necessary), and again whenever
+   * the consumer reconnects.  If binding fails, for example because the
+   * exchange does not exist, the new bindings are forgotten and the error is
+   * thrown.
+   */
+  async addBindings(bindings) {
+    checkBindings(bindings);
+    await this._withBindingsLock(async () => {
+      const added = bindings.filter(b => !this.bindings.some(existing => sameBinding(b, existing)));
+      this.bindings = this.bindings.concat(added);
+
+      try {
+        await this.client.withChannel(async channel => {
+          const queueName = this.client.fullObjectName('queue', this.queueName);
+          for (let {exchange, routingKeyPattern} of added) {
+            await channel.bindQueue(queueName, exchange, routingKeyPattern);
+          }
+        });
+      } catch (err) {
+        this.bindings = this.bindings.filter(b => !added.includes(b));
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Remove bindings from the queue, immediately (waiting for a connection if
+   * necessary).  The removed bindings will not be re-applied when the consumer
+   * reconnects.
+   */
+  async removeBindings(bindings) {
+    checkBindings(bindings);
+    await this._withBindingsLock(async () => {
+      this.bindings = this.bindings.filter(existing => !bindings.some(b => sameBinding(b, existing)));
+
+      await this.client.withChannel(async channel => {
+        const queueName = this.client.fullObjectName('queue', this.queueName);
+        for (let {exchange, routingKeyPattern} of bindings) {
+          await channel.unbindQueue(queueName, exchange, routingKeyPattern);
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove bindings from the server that are no longer configured, recording
+   * the result in `this.reconcileReport`.  Failure to reach the management API
+   * is reported, but does not prevent consuming.
+   */
+  async _reconcileBindings() {
+    const {managementUrl, vhost, dryRun, timeout} = this.reconcile;
+    try {
+      this.reconcileReport = await reconcileBindings({
+        client: this.client,
+        queueName: this.queueName,
+        bindings: this.bindings,
+        managementUrl,
+        vhost,
+        dryRun,
+        timeout,
+      });
+    } catch (err) {
+      this.client.monitor.reportError(err, {queueName: this.queueName});
+    }
+  }
+
+  /**
+   * Call the given async function once any earlier changes to the queue's
+   * bindings are complete, so that re-binding on a new connection does not
+   * race with addBindings or removeBindings.
+   */
+  _withBindingsLock(fn) {
+    const result = this._bindingsLock.then(fn);
+    this._bindingsLock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get a snapshot of the state of this consumer, for use in `client.status()`
+   */
+  status() {
+    return {
+      queueName: this.queueName,
+      ephemeral: Boolean(this.ephemeral),
+      running: this.running,
+      paused: this.paused,
+      breaker: this.breaker ? this.breaker.state : null,
+      consuming: Boolean(this._consumption && this._consumption.consumerTag),
+      bindings: this.bindings.map(({exchange, routingKeyPattern}) => ({exchange, routingKeyPattern})),
+      prefetch: this.prefetch,
+      processingMessages: this.processingMessages,
+    };
+  }
+
+  /**
+   * Stop consuming messages, until `resume` is called, without otherwise
+   * changing the queue or its bindings.  Messages already received are still
+   * handled.  The consumer remains paused across reconnections.
+   */
+  async pause() {
+    this.paused = true;
+    await this._refreshConsumption();
+    this._flushBatch();
+  }
+
+  /**
+   * Resume consuming messages after `pause`.
+   */
+  async resume() {
+    this.paused = false;
+    await this._refreshConsumption();
+  }
+
+  /**
+   * Update the current consumption, if any, to match the consumer's state.  A
+   * channel that has closed is ignored, since its replacement will start from
+   * that state on reconnection.
+   */
+  async _refreshConsumption() {
+    if (!this._consumption) {
+      return;
+    }
+    try {
+      await this._updateConsumption(this._consumption);
+    } catch (err) {
+      if (!(err instanceof amqplib.IllegalOperationError)) {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Start or stop consuming from the given channel's consumption, depending on
+   * whether the consumer is running and not paused, and the channel is not
+   * closing.  Changes are made one at a time, so a pause and resume in quick
+   * succession leave the consumer consuming.
+   */
+  _updateConsumption(consumption) {
+    const result = this._consumptionLock.then(async () => {
+      const breakerState = this.breaker ? this.breaker.state : 'closed';
+      const consume = this.running && !this.paused && !consumption.closing && breakerState !== 'open';
+      // a half-open circuit breaker probes with a single message
+      const prefetch = breakerState === 'half-open' ? 1 : this.prefetch;
+
+      // prefetch only applies to new consumers, so changing it means consuming afresh
+      if (consumption.consumerTag && (!consume || consumption.prefetch !== prefetch)) {
+        const {consumerTag} = consumption;
+        consumption.consumerTag = null;
+        await consumption.channel.cancel(consumerTag);
+      }
+      if (consume && !consumption.consumerTag) {
+        const {channel, queueName, onMessage} = consumption;
+        if (consumption.prefetch !== prefetch) {
+          await channel.prefetch(prefetch);
+          consumption.prefetch = prefetch;
+        }
+        consumption.consumerTag = (await channel.consume(queueName, onMessage)).consumerTag;
+      }
+    });
+    this._consumptionLock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Decide whether to handle a newly-arrived message, according to the circuit
+   * breaker: all messages when it is closed, none when it is open, and a single
+   * probe when it is half-open.
+   */
+  _admitMessage(msg) {
+    if (!this.breaker || this.breaker.state === 'closed') {
+      return true;
+    }
+    if (this.breaker.state === 'half-open' && !this.breaker.probe) {
+      this.breaker.probe = msg;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record the outcome of handling a message with the circuit breaker, opening
+   * or closing it as necessary.  An `ok` of null means the outcome was
+   * inconclusive.  Returns true if the breaker is not closed, in which case a
+   * failed message should be left on the queue rather than treated as failed.
+   */
+  _recordOutcome(msg, ok) {
+    const breaker = this.breaker;
+    if (!breaker) {
+      return false;
+    }
+
+    if (breaker.state === 'half-open' && breaker.probe === msg) {
+      if (ok === null) {
+        // try again with another message
+        breaker.probe = null;
+      } else {
+        this._setBreakerState(ok ? 'closed' : 'open');
+      }
+    } else if (breaker.state === 'closed' && ok !== null) {
+      const now = Date.now();
+      breaker.outcomes.push({time: now, ok});
+      breaker.outcomes = breaker.outcomes.filter(({time}) => time > now - breaker.window);
+      const failures = breaker.outcomes.filter(outcome => !outcome.ok).length;
+      if (breaker.outcomes.length >= breaker.minimumMessages &&
+          failures / breaker.outcomes.length >= breaker.threshold) {
+        this._setBreakerState('open');
+      }
+    }
+
+    return breaker.state !== 'closed';
+  }
+
+  /**
+   * Change the state of the circuit breaker, emitting a `breaker` event and
+   * starting or stopping consumption to match.
+   */
+  _setBreakerState(state) {
+    const breaker = this.breaker;
+    this.debug(`circuit breaker for ${this.queueName} is now ${state}`);
+    breaker.state = state;
+    breaker.outcomes = [];
+    breaker.probe = null;
+    clearTimeout(breaker.cooldownTimer);
+    if (state === 'open') {
+      breaker.cooldownTimer = setTimeout(() => this._setBreakerState('half-open'), breaker.cooldown);
+    }
+
+    const queue = this.ephemeral ? 'ephemeral' : metricTag(this.queueName);
+    this.client.monitor.count(`pulse.consumer.${queue}.breaker.${state}`);
+    this.emit('breaker', state);
+
+    this._refreshConsumption().catch(err => {
+      this.client.monitor.reportError(err, {queueName: this.queueName});
+    });
+  }
+
   /**
    * Shut down this listener and channel, without setting this.running to false
    */
   async _shutdown() {
-    const {channel, consumerTag} = this;
+    const {channel} = this;
+    const consumption = this._consumption;
 
-    if (channel && consumerTag) {
-      this.consumerTag = null;
-      await channel.cancel(consumerTag);
+    if (consumption) {
+      consumption.closing = true;
+      await this._updateConsumption(consumption);
     }
 
+    // don't wait for the batch timeout to handle messages that have already arrived
+    this._flushBatch();
+
     // if messages are being processed, arrange to continue when they
     // are all handled
     if (this.processingMessages > 0) {
@@ -98,8 +622,19 @@ class PulseConsumer {
     }
 
     if (channel) {
-      this.channel = null;
-      await channel.close();
+      // a new connection may already have a new channel
+      if (this.channel === channel) {
+        this.channel = null;
+        this._consumption = null;
+      }
+      try {
+        await channel.close();
+      } catch (err) {
+        // the channel may have closed already, abandoning manually-acknowledged messages
+        if (!(err instanceof amqplib.IllegalOperationError)) {
+          throw err;
+        }
+      }
     }
   }
 
@@ -116,6 +651,27 @@ class PulseConsumer {
       await channel.bindQueue(queueName, exchange, routingKeyPattern);
     }
 
+    if (this.deadLetterQueueName) {
+      await channel.assertQueue(this.client.fullObjectName('queue', this.deadLetterQueueName), {
+        durable: true,
+      });
+    }
+
+    // messages in each delay queue expire after that delay, and are then
+    // dead-lettered back to this queue via the default exchange
+    if (this.retry) {
+      for (let delay of new Set(this.retry.delays)) {
+        await channel.assertQueue(this.client.fullObjectName('queue', this._retryQueueName(delay)), {
+          durable: true,
+          arguments: {
+            'x-message-ttl': delay,
+            'x-dead-letter-exchange': '',
+            'x-dead-letter-routing-key': queueName,
+          },
+        });
+      }
+    }
+
     return queueName;
   }
 
@@ -132,32 +688,63 @@ class PulseConsumer {
       const amqp = conn.amqp;
       const channel = await amqp.createChannel();
       await channel.prefetch(this.prefetch);
-      const queueName = await await this._createAndBindQueue(channel);
+      const queueName = await this._withBindingsLock(() => this._createAndBindQueue(channel));
       this.channel = channel;
 
       // consider any errors on the channel to be potentially fatal to the
       // connection (better safe than sorry)
       channel.on('error', () => conn.failed());
 
-      const consumer = await channel.consume(queueName, async (msg) => {
+      // messages awaiting a manual acknowledgement on this channel, which are
+      // abandoned (and will be redelivered) if it closes
+      const outstanding = new Set();
+      channel.on('close', () => {
+        for (let abandon of outstanding) {
+          abandon();
+        }
+      });
+
+      const onMessage = async (msg) => {
+        if (this.manualAck) {
+          this.processingMessages++;
+          this.client.monitor.count(`${this._metricPrefix(messageOrigin(msg).exchange)}.consumed`);
+          await this._handleManually(channel, queueName, msg, outstanding);
+          return;
+        }
+
+        if (this.handleBatch) {
+          this.processingMessages++;
+          this.client.monitor.count(`${this._metricPrefix(messageOrigin(msg).exchange)}.consumed`);
+          this._addToBatch(conn, channel, queueName, msg);
+          return;
+        }
+
         try {
           this.processingMessages++;
+          // while the circuit breaker is open, leave messages on the queue
+          if (!this._admitMessage(msg)) {
+            channel.nack(msg, false, true);
+            return;
+          }
+
+          const metricPrefix = this._metricPrefix(messageOrigin(msg).exchange);
+          this.client.monitor.count(`${metricPrefix}.consumed`);
+          const start = new Date();
           try {
             await this._handleMessage(msg);
           } catch (err) {
-            if (msg.fields.redelivered) {
-              // if this was already delivered, we're going to give up and report it
-              channel.nack(msg, false, false);
-              this.client.monitor.reportError(err, {
-                queueName,
-                exchange: msg.exchange,
-                redelivered: msg.redelivered,
-              });
-            } else {
+            this.client.monitor.measure(`${metricPrefix}.duration`, new Date() - start);
+            // released and invalid messages say nothing about whether handleMessage is working
+            const inconclusive = err instanceof ReleaseMessage || err instanceof InvalidMessage;
+            if (this._recordOutcome(msg, inconclusive ? null : false) || err instanceof ReleaseMessage) {
               channel.nack(msg, false, true);
+              return;
             }
+            await this._handleFailure(channel, queueName, msg, err, metricPrefix);
             return;
           }
+          this.client.monitor.measure(`${metricPrefix}.duration`, new Date() - start);
+          this._recordOutcome(msg, true);
           channel.ack(msg);
         } catch (err) {
           // the error handling in the inner try block went badly, so this
@@ -177,8 +764,16 @@ class PulseConsumer {
             this.idleCallback();
           }
         }
-      });
-      this.consumerTag = consumer.consumerTag;
+      };
+      // a probe still being handled on an old channel will not be redelivered
+      // here, and would otherwise leave every message on this channel refused
+      if (this.breaker) {
+        this.breaker.probe = null;
+      }
+
+      // start consuming, unless paused, in which case resume() will start
+      this._consumption = {channel, queueName, onMessage, prefetch: this.prefetch, consumerTag: null, closing: false};
+      await this._updateConsumption(this._consumption);
 
       // now that we're listening for messages, inform the user that we were
       // reconnected and might have lost messages
@@ -193,12 +788,422 @@ class PulseConsumer {
     }
   }
 
+  /**
+   * Add a message to the batch being collected, handling the batch if it is
+   * full.  A batch only contains messages from a single channel.
+   */
+  _addToBatch(conn, channel, queueName, msg) {
+    if (this.batch && this.batch.channel !== channel) {
+      this._flushBatch();
+    }
+    if (!this.batch) {
+      this.batch = {
+        conn,
+        channel,
+        queueName,
+        msgs: [],
+        timer: setTimeout(() => this._flushBatch(), this.batchTimeout),
+      };
+    }
+
+    this.batch.msgs.push(msg);
+    if (this.batch.msgs.length >= this.batchSize) {
+      this._flushBatch();
+    }
+  }
+
+  /**
+   * Handle the batch being collected, after any batch already being handled.
+   */
+  _flushBatch() {
+    const batch = this.batch;
+    if (!batch) {
+      return;
+    }
+    this.batch = null;
+    clearTimeout(batch.timer);
+    this._batchLock = this._batchLock.then(() => this._handleBatch(batch));
+  }
+
+  async _handleBatch({conn, channel, queueName, msgs}) {
+    const metricPrefix = `pulse.consumer.${this.ephemeral ? 'ephemeral' : metricTag(this.queueName)}.batch`;
+    try {
+      this.client.monitor.measure(`${metricPrefix}.size`, msgs.length);
+
+      // messages that cannot be parsed or are invalid fail on their own
+      const valid = [];
+      const messages = [];
+      for (let msg of msgs) {
+        try {
+          messages.push(this._parseMessage(msg));
+          valid.push(msg);
+        } catch (err) {
+          await this._handleFailure(channel, queueName, msg, err, this._metricPrefix(messageOrigin(msg).exchange));
+        }
+      }
+      if (valid.length === 0) {
+        return;
+      }
+
+      const start = new Date();
+      try {
+        await this._withHandlerTimeout(signal => this.handleBatch(messages, {signal}));
+      } catch (err) {
+        this.client.monitor.measure(`${metricPrefix}.duration`, new Date() - start);
+        // don't handle the same messages concurrently with an abandoned batch
+        if (this.batchFailure === 'individual' && err instanceof HandlerTimeout) {
+          await err.handlerFinished;
+        }
+        for (let i = 0; i < valid.length; i++) {
+          const msg = valid[i];
+          const prefix = this._metricPrefix(messageOrigin(msg).exchange);
+          if (this.batchFailure === 'individual') {
+            try {
+              await this._withHandlerTimeout(signal => this.handleBatch([messages[i]], {signal}));
+              channel.ack(msg);
+            } catch (err) {
+              await this._handleFailure(channel, queueName, msg, err, prefix);
+            }
+          } else {
+            await this._handleFailure(channel, queueName, msg, err, prefix);
+          }
+        }
+        return;
+      }
+      this.client.monitor.measure(`${metricPrefix}.duration`, new Date() - start);
+
+      // batches are handled in order, so this acknowledges exactly the messages
+      // in this batch (any others having already been settled)
+      channel.ack(valid[valid.length - 1], true);
+    } catch (err) {
+      // as for single messages, the channel is probably sick
+      if (!(err instanceof amqplib.IllegalOperationError)) {
+        this.client.monitor.reportError(err, {queueName});
+      }
+      conn.failed();
+    } finally {
+      this.processingMessages -= msgs.length;
+      if (this.processingMessages === 0 && this.idleCallback) {
+        this.idleCallback();
+      }
+    }
+  }
+
+  /**
+   * Handle a message in manual-acknowledgement mode, giving the handler ack,
+   * nack and reject functions with which to settle the message, now or later.
+   * The message remains in processingMessages until it is settled or its
+   * channel closes.
+   */
+  async _handleManually(channel, queueName, msg, outstanding) {
+    const metricPrefix = this._metricPrefix(messageOrigin(msg).exchange);
+    const start = new Date();
+    // how the message was settled, or null if it is still outstanding
+    let settled = null;
+
+    const finished = () => {
+      outstanding.delete(abandon);
+      this.processingMessages--;
+      if (this.processingMessages === 0 && this.idleCallback) {
+        this.idleCallback();
+      }
+    };
+    const abandon = () => {
+      if (!settled) {
+        settled = 'abandoned';
+        finished();
+      }
+    };
+    outstanding.add(abandon);
+
+    const settle = (how, fn) => {
+      if (settled === 'abandoned') {
+        throw new Error('Cannot settle message: its channel has closed, probably due to a client recycle, ' +
+          'and it will be redelivered');
+      }
+      assert(!settled, `Message has already been ${settled}`);
+      settled = how;
+      let result;
+      try {
+        result = fn();
+      } catch (err) {
+        finished();
+        // the channel closed, but we have not yet heard about it
+        if (err instanceof amqplib.IllegalOperationError) {
+          throw new Error(`Cannot settle message: its channel has closed (${err.message}), ` +
+            'and it will be redelivered');
+        }
+        throw err;
+      }
+      if (!result) {
+        finished();
+        return;
+      }
+
+      // handling a failure may wait for a copy of the message to be confirmed
+      return result.then(finished, err => {
+        finished();
+        this.client.monitor.reportError(err, {queueName, exchange: msg.fields.exchange});
+      });
+    };
+
+    let message;
+    try {
+      message = this._parseMessage(msg);
+    } catch (err) {
+      await settle('failed', () => this._handleFailure(channel, queueName, msg, err, metricPrefix));
+      return;
+    }
+
+    message.ack = () => settle('acked', () => {
+      this.client.monitor.measure(`${metricPrefix}.duration`, new Date() - start);
+      channel.ack(msg);
+    });
+    message.nack = ({requeue = true} = {}) => settle('nacked', () => {
+      if (requeue) {
+        channel.nack(msg, false, true);
+      } else {
+        return this._handleFailure(channel, queueName, msg, new Error('Message nacked by handler'), metricPrefix);
+      }
+    });
+    message.reject = () => settle('rejected', () => {
+      channel.nack(msg, false, false);
+      this.client.monitor.count(`${metricPrefix}.dropped`);
+    });
+
+    try {
+      // manualAck does not support handlerTimeout, so the signal is never aborted
+      await this._inOrder(message, () => this._withHandlerTimeout(signal => this.handleMessage(message, {signal})));
+    } catch (err) {
+      // a handler that fails without settling the message fails it as usual
+      try {
+        if (settled) {
+          throw err;
+        }
+        await settle('failed', () => {
+          if (err instanceof ReleaseMessage) {
+            channel.nack(msg, false, true);
+          } else {
+            return this._handleFailure(channel, queueName, msg, err, metricPrefix);
+          }
+        });
+      } catch (err) {
+        this.client.monitor.reportError(err, {queueName, exchange: msg.fields.exchange});
+      }
+    }
+  }
+
+  /**
+   * Handle a message for which handleMessage failed: retry it, either by
+   * requeueing it once or according to the retry policy, or give up on it.
+   */
+  async _handleFailure(channel, queueName, msg, err, metricPrefix) {
+    const headers = msg.properties.headers || {};
+    const attempts = (headers['x-pulse-attempts'] || 0) + 1;
+
+    // timeouts are reported even if the message is retried, since the handler
+    // may still be running
+    if (err instanceof HandlerTimeout) {
+      this.client.monitor.count(`${metricPrefix}.timedOut`);
+      this.client.monitor.reportError(err, {
+        queueName,
+        exchange: msg.exchange,
+        redelivered: msg.redelivered,
+      });
+    }
+
+    // invalid messages will never become valid, so don't bother retrying
+    if (err instanceof InvalidMessage) {
+      this.client.monitor.count(`${metricPrefix}.invalid`);
+      await this._giveUp(channel, queueName, msg, err, metricPrefix, {
+        failures: 1,
+        deadLetter: this.validate.onInvalid === 'deadLetter',
+      });
+      return;
+    }
+
+    if (this.retry && attempts < this.retry.maxAttempts) {
+      // send the message to the delay queue for this attempt; it will return
+      // to this queue when its TTL expires
+      const delays = this.retry.delays;
+      const delay = delays[Math.min(attempts - 1, delays.length - 1)];
+      const {exchange, routingKey} = messageOrigin(msg);
+      // only remove the message once the delayed copy is confirmed
+      try {
+        await this._sendToQueue(this._retryQueueName(delay), msg.content, {
+          ...msg.properties,
+          headers: {
+            ...headers,
+            'x-pulse-attempts': attempts,
+            'x-pulse-original-exchange': exchange,
+            'x-pulse-original-routing-key': routingKey,
+          },
+        });
+      } catch (sendErr) {
+        this._sendFailed(channel, queueName, msg, sendErr, metricPrefix);
+        return;
+      }
+      channel.ack(msg);
+      this.client.monitor.count(`${metricPrefix}.retried`);
+      return;
+    }
+
+    if (!this.retry && !msg.fields.redelivered) {
+      channel.nack(msg, false, true);
+      this.client.monitor.count(`${metricPrefix}.nacked`);
+      return;
+    }
+
+    await this._giveUp(channel, queueName, msg, err, metricPrefix, {
+      failures: this.retry ? attempts : 2,
+      deadLetter: Boolean(this.deadLetterQueueName),
+    });
+  }
+
+  /**
+   * Give up on a failed message and report it, keeping a copy in the
+   * dead-letter queue if deadLetter is true
+   */
+  async _giveUp(channel, queueName, msg, err, metricPrefix, {failures, deadLetter}) {
+    if (deadLetter) {
+      // only remove the message once the dead-letter copy is confirmed
+      try {
+        await this._sendToQueue(this.deadLetterQueueName, msg.content, {
+          ...msg.properties,
+          headers: deadLetterHeaders(msg, err, failures),
+        });
+      } catch (sendErr) {
+        this._sendFailed(channel, queueName, msg, sendErr, metricPrefix);
+        return;
+      }
+      channel.ack(msg);
+      this.client.monitor.count(`${metricPrefix}.deadLettered`);
+    } else {
+      channel.nack(msg, false, false);
+      this.client.monitor.count(`${metricPrefix}.dropped`);
+    }
+    if (!(err instanceof HandlerTimeout)) {
+      this.client.monitor.reportError(err, {
+        queueName,
+        exchange: msg.exchange,
+        redelivered: msg.redelivered,
+      });
+    }
+  }
+
+  /**
+   * Send a message directly to the given queue (relative to the client's
+   * namespace), on a confirm channel, resolving once the server has confirmed
+   * it.
+   */
+  _sendToQueue(queue, content, options) {
+    return this.client.withChannel(channel => new Promise((resolve, reject) => {
+      channel.sendToQueue(this.client.fullObjectName('queue', queue), content, options, err => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    }), {confirmChannel: true});
+  }
+
+  /**
+   * Handle a failure to send a copy of a failed message elsewhere, by leaving
+   * the message on the queue to be tried again.
+   */
+  _sendFailed(channel, queueName, msg, err, metricPrefix) {
+    channel.nack(msg, false, true);
+    this.client.monitor.count(`${metricPrefix}.nacked`);
+    this.client.monitor.reportError(err, {
+      queueName,
+      exchange: msg.exchange,
+      redelivered: msg.redelivered,
+    });
+  }
+
+  /**
+   * Get the name of the delay queue used to retry messages after the given delay
+   */
+  _retryQueueName(delay) {
+    return `${this.queueName}/retry-${delay}`;
+  }
+
+  /**
+   * Get the prefix for metrics about messages from the given exchange
+   */
+  _metricPrefix(exchange) {
+    const queue = this.ephemeral ? 'ephemeral' : metricTag(this.queueName);
+    return `pulse.consumer.${queue}.${metricTag(exchange)}`;
+  }
+
   async _handleMessage(msg) {
+    const message = this._parseMessage(msg);
+    await this._inOrder(message, () => this._withHandlerTimeout(signal => this.handleMessage(message, {signal})));
+  }
+
+  /**
+   * Call `fn` to handle the given message once any earlier messages with the
+   * same ordering key have been handled.  This must be called in delivery
+   * order, without waiting between delivery and the call.
+   */
+  _inOrder(message, fn) {
+    const key = this.orderingKey ? this.orderingKey(message) : undefined;
+    if (key === undefined || key === null) {
+      return fn();
+    }
+
+    const result = (this._orderingLocks.get(key) || Promise.resolve()).then(fn);
+    const lock = result.catch(() => {});
+    this._orderingLocks.set(key, lock);
+    // forget the key once nothing more is waiting for it
+    lock.then(() => {
+      if (this._orderingLocks.get(key) === lock) {
+        this._orderingLocks.delete(key);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Call `fn` with an abort signal, and fail with a HandlerTimeout if it does
+   * not finish within the handlerTimeout, aborting the signal.  Without a
+   * handlerTimeout, the signal is never aborted.
+   */
+  async _withHandlerTimeout(fn) {
+    const controller = createAbortController();
+    if (!this.handlerTimeout) {
+      return fn(controller.signal);
+    }
+
+    const handling = (async () => fn(controller.signal))();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const err = new HandlerTimeout(`Handler did not finish within handlerTimeout (${this.handlerTimeout}ms)`);
+        err.handlerFinished = handling.then(() => {}, () => {});
+        reject(err);
+      }, this.handlerTimeout);
+    });
+    try {
+      return await Promise.race([handling, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Convert an amqplib message into the form given to handleMessage
+   */
+  _parseMessage(msg) {
+    const {exchange, routingKey} = messageOrigin(msg);
+
     // Construct message
     let message = {
       payload:      JSON.parse(msg.content.toString('utf8')),
-      exchange:     msg.fields.exchange,
-      routingKey:   msg.fields.routingKey,
+      exchange,
+      routingKey,
       redelivered:  msg.fields.redelivered,
       routes:       [],
     };
@@ -255,29 +1260,224 @@ class PulseConsumer {
       message.routing = routing;
     }
 
-    await this.handleMessage(message);
+    if (this._validator) {
+      const err = this._validator(message.exchange, message.payload);
+      if (err) {
+        if (this.validate.onInvalid !== 'attach') {
+          throw new InvalidMessage(`Message validation failed. ${err}`);
+        }
+        message.validationError = err;
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Set up this._validator, if validation is configured.  The validator takes
+   * an exchange and a payload, and returns an error string if the payload does
+   * not match the schema for that exchange.
+   */
+  async _createValidator() {
+    if (!this.validate) {
+      return;
+    }
+    const {rootUrl, schemaset, reference} = this.validate;
+    const validator = await schemaset.validator(rootUrl);
+
+    const schemas = new Map();
+    for (let ref of Array.isArray(reference) ? reference : [reference]) {
+      for (let entry of ref.entries) {
+        schemas.set(ref.exchangePrefix + entry.exchange, libUrls.schema(rootUrl, ref.serviceName, entry.schema));
+      }
+    }
+
+    this._validator = (exchange, payload) => {
+      const schema = schemas.get(exchange);
+      // messages from exchanges not described in the references are not validated
+      if (!schema) {
+        return null;
+      }
+      return validator(payload, schema);
+    };
   }
 }
 
-class FakePulseConsumer {
-  constructor({client, bindings, queueName, prefetch, ephemeral, onConnected, handleMessage, ...queueOptions}) {
-    assert(handleMessage, 'Must provide a message handler function');
+class FakePulseConsumer extends events.EventEmitter {
+  constructor({client, bindings, queueName, prefetch, ephemeral, deadLetter, validate, manualAck, handlerTimeout,
+    orderingKey, circuitBreaker, onConnected, handleMessage, handleBatch, ...queueOptions}) {
+    super();
+    assert(handleMessage || handleBatch, 'Must provide a message handler function');
+    assert(!(handleMessage && handleBatch), 'Must not provide both handleMessage and handleBatch');
+    assert(!(manualAck && handleBatch), 'manualAck is not supported with handleBatch');
+    assert(!(manualAck && handlerTimeout), 'handlerTimeout is not supported with manualAck');
+    this.manualAck = Boolean(manualAck);
+    this.handlerTimeout = handlerTimeout;
+    this.prefetch = typeof prefetch !== 'undefined' ? prefetch : 5;
+    this.running = false;
+    this.paused = false;
+    this.processingMessages = 0;
+    // fake consumers have no circuit breaker, so it is always closed
+    this.breaker = null;
+    // fake messages are delivered one at a time, so they are always in order
+    this.orderingKey = orderingKey;
+    this._orderingLocks = new Map();
+    if (validate) {
+      this.validate = checkValidate(validate, deadLetter);
+    }
 
+    this.client = client;
+    this.bindings = bindings || [];
     if (ephemeral) {
       assert(!queueName, 'Must not pass a queueName for ephemeral consumers');
       assert(onConnected, 'Must pass onConnected for ephemeral consumers');
+      this.queueName = slugid.nice();
     } else {
       assert(queueName, 'Must pass a queueName');
+      this.queueName = queueName;
     }
     this.ephemeral = ephemeral;
-    this.handleMessage = handleMessage;
+    // fake messages are delivered one at a time, so batches contain one message
+    this.handleMessage = handleMessage || ((message, options) => handleBatch([message], options));
     this.onConnected = onConnected;
     this.debug = debug('FakePulseConsumer');
+
+    // parse messages exactly as the real PulseConsumer does
+    this._handleMessage = PulseConsumer.prototype._handleMessage.bind(this);
+    this._parseMessage = PulseConsumer.prototype._parseMessage.bind(this);
+    this._createValidator = PulseConsumer.prototype._createValidator.bind(this);
+    this._withHandlerTimeout = PulseConsumer.prototype._withHandlerTimeout.bind(this);
+    this._inOrder = PulseConsumer.prototype._inOrder.bind(this);
+    this._deliver = this._deliver.bind(this);
+  }
+
+  /**
+   * Declare and bind the queue in the FakeClient's broker, and begin
+   * consuming from it.
+   */
+  async _start() {
+    // only yield if necessary, so that the queue is bound as soon as possible
+    if (this.validate) {
+      await this._createValidator();
+    }
+
+    const broker = this.client.broker;
+    broker.assertQueue(this.queueName);
+    for (let {exchange, routingKeyPattern} of this.bindings) {
+      broker.bindQueue(this.queueName, exchange, routingKeyPattern);
+    }
+    this.running = true;
+    this.client.consumers.push(this);
+    await broker.consume(this.queueName, this._deliver);
+  }
+
+  async _deliver(msg) {
+    this.processingMessages++;
+    try {
+      await (this.manualAck ? this._deliverManually(msg) : this._deliverAutomatically(msg));
+    } finally {
+      this.processingMessages--;
+    }
+  }
+
+  async _deliverAutomatically(msg) {
+    try {
+      await this._handleMessage(msg);
+    } catch (err) {
+      if (err instanceof ReleaseMessage) {
+        await this.client.broker.requeue(this.queueName, msg);
+        return;
+      }
+      // invalid messages are dropped, as there is no dead-letter queue
+      if (err instanceof InvalidMessage) {
+        this.debug(`Invalid message; dropping: ${err}`);
+        return;
+      }
+      // like the real consumer, retry once and then drop the message
+      if (!msg.fields.redelivered) {
+        this.debug('Error handling message; retrying');
+        await this._deliverAutomatically({...msg, fields: {...msg.fields, redelivered: true}});
+      } else {
+        this.debug(`Error handling message; dropping: ${err}`);
+      }
+    }
+  }
+
+  async _deliverManually(msg) {
+    let settled = null;
+    let redelivered = null;
+    const settle = how => {
+      assert(!settled, `Message has already been ${settled}`);
+      settled = how;
+    };
+
+    let message;
+    try {
+      message = this._parseMessage(msg);
+    } catch (err) {
+      this.debug(`Error parsing message; dropping: ${err}`);
+      return;
+    }
+    message.ack = () => settle('acked');
+    message.nack = ({requeue = true} = {}) => {
+      settle('nacked');
+      if (requeue) {
+        redelivered = this.client.broker.requeue(this.queueName, msg);
+      }
+    };
+    message.reject = () => settle('rejected');
+
+    try {
+      await this._withHandlerTimeout(signal => this.handleMessage(message, {signal}));
+    } catch (err) {
+      if (!settled) {
+        settle('failed');
+        this.debug(`Error handling message; dropping: ${err}`);
+      }
+    }
+
+    // like a publish, a requeued message is finished once it is handled again
+    await redelivered;
+  }
+
+  async addBindings(bindings) {
+    checkBindings(bindings);
+    for (let binding of bindings) {
+      if (!this.bindings.some(existing => sameBinding(binding, existing))) {
+        this.bindings = this.bindings.concat([binding]);
+      }
+      this.client.broker.bindQueue(this.queueName, binding.exchange, binding.routingKeyPattern);
+    }
+  }
+
+  async removeBindings(bindings) {
+    checkBindings(bindings);
+    this.bindings = this.bindings.filter(existing => !bindings.some(b => sameBinding(b, existing)));
+    for (let {exchange, routingKeyPattern} of bindings) {
+      this.client.broker.unbindQueue(this.queueName, exchange, routingKeyPattern);
+    }
+  }
+
+  async pause() {
+    this.paused = true;
+    this.client.broker.cancel(this.queueName);
+  }
+
+  async resume() {
+    if (this.paused) {
+      this.paused = false;
+      await this.client.broker.consume(this.queueName, this._deliver);
+    }
   }
 
   async stop() {
     this.debug('stopping');
-    // do nothing
+    this.running = false;
+    this.client.consumers = this.client.consumers.filter(consumer => consumer !== this);
+    this.client.broker.cancel(this.queueName);
+    if (this.ephemeral) {
+      this.client.broker.deleteQueue(this.queueName);
+    }
   }
 
   /**
@@ -288,13 +1488,35 @@ class FakePulseConsumer {
     await this.onConnected();
   }
 
+  /**
+   * Get a snapshot of the state of this consumer, in the same form as for a
+   * real PulseConsumer
+   */
+  status() {
+    return {
+      queueName: this.queueName,
+      ephemeral: Boolean(this.ephemeral),
+      running: this.running,
+      paused: this.paused,
+      breaker: null,
+      consuming: this.running && !this.paused,
+      bindings: this.bindings.map(({exchange, routingKeyPattern}) => ({exchange, routingKeyPattern})),
+      prefetch: this.prefetch,
+      processingMessages: this.processingMessages,
+    };
+  }
+
   /**
    * Inject a fake message.  This calls the supplied handleMessage
-   * function directly.
+   * function directly, with a signal that is never aborted.  With manualAck,
+   * the message is given ack, nack and reject functions that do nothing.
    */
   async fakeMessage(msg) {
     this.debug(`injecting fake message ${JSON.stringify(msg)}`);
-    await this.handleMessage(msg);
+    if (this.manualAck) {
+      msg = {ack: () => {}, nack: () => {}, reject: () => {}, ...msg};
+    }
+    await this.handleMessage(msg, {signal: createAbortController().signal});
   }
 }
 
@@ -308,6 +1530,7 @@ const consume = async (options, handleMessage, onConnected) => {
   if (options.client.isFakeClient) {
     const pq = new FakePulseConsumer(options);
     options.client.pulseConsumer = pq;
+    await pq._start();
     return pq;
   }
 
@@ -317,3 +1540,115 @@ const consume = async (options, handleMessage, onConnected) => {
 };
 
 exports.consume = consume;
+
+/**
+ * An async iterable of messages from a consumer, created with
+ * `client.messages(options)`, where options are as for `consume` (without
+ * handleMessage).  Use it like this:
+ *
+ *   for await (let message of client.messages({queueName, bindings})) {
+ *     ..
+ *   }
+ *
+ * Each message is acknowledged when the loop asks for the next message, that
+ * is, when the loop body finishes.  If the loop ends early, the message being
+ * handled fails as if handleMessage had failed: it is requeued once, or retried
+ * or dead-lettered according to the consumer's options, so that a message that
+ * always throws is not redelivered forever.  An async iterator cannot tell an
+ * exception from a `break`, so this applies to both.  Any prefetched messages
+ * the loop has not seen are returned to the queue, and the consumer is stopped.
+ *
+ * The consumer starts immediately, so that no messages are missed while
+ * waiting for the loop to begin, and continues across connection recycles.
+ * Errors starting the consumer are thrown from the first iteration.
+ *
+ * With a FakeClient, messages are buffered without acknowledgement, so fake
+ * publishes do not wait for the loop, and buffered messages are not returned
+ * to the queue when the loop ends early.
+ */
+class MessageStream {
+  constructor({client, ...options}) {
+    // messages not yet handed to the loop, as {message, resolve, reject}
+    this.buffer = [];
+    // the message the loop is currently handling
+    this.current = null;
+    this.done = false;
+    this._wake = null;
+
+    this._started = consume({
+      client,
+      ...options,
+      handleMessage: message => {
+        if (this.done) {
+          return Promise.reject(new ReleaseMessage());
+        }
+        return new Promise((resolve, reject) => {
+          this.buffer.push({message, resolve, reject});
+          if (client.isFakeClient) {
+            resolve();
+          }
+          this._notify();
+        });
+      },
+    });
+    // errors are thrown from next()
+    this._started.catch(() => {});
+  }
+
+  [Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')]() {
+    return this;
+  }
+
+  async next() {
+    await this._started;
+    this._settle(entry => entry.resolve());
+
+    while (!this.done && this.buffer.length === 0) {
+      await new Promise(resolve => { this._wake = resolve; });
+    }
+    if (this.done) {
+      return {done: true, value: undefined};
+    }
+
+    this.current = this.buffer.shift();
+    return {done: false, value: this.current.message};
+  }
+
+  async return() {
+    if (this.done) {
+      return {done: true, value: undefined};
+    }
+    this.done = true;
+    this._notify();
+
+    let consumer;
+    try {
+      consumer = await this._started;
+    } catch (err) {
+      return {done: true, value: undefined};
+    }
+
+    this._settle(entry => entry.reject(new Error('Message loop ended while handling this message')));
+    this.buffer.splice(0).forEach(entry => entry.reject(new ReleaseMessage()));
+    await consumer.stop();
+    return {done: true, value: undefined};
+  }
+
+  _settle(fn) {
+    if (this.current) {
+      fn(this.current);
+      this.current = null;
+    }
+  }
+
+  _notify() {
+    if (this._wake) {
+      this._wake();
+      this._wake = null;
+    }
+  }
+}
+
+const messages = options => new MessageStream(options);
+
+exports.messages = messages;
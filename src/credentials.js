@@ -38,12 +38,58 @@ const pulseCredentials = ({username, password, hostname, vhost}) => {
 exports.pulseCredentials = pulseCredentials;
 
 /**
-  * Simply returns the same connectionstring send as a parameter,wrapped with an async function
+  * Simply returns the same connectionstring send as a parameter,wrapped with an async function.
+  * Given an array of connection strings, returns them all, for failover between them.
  */
 const connectionStringCredentials = (connectionString) => {
+  if (Array.isArray(connectionString)) {
+    const connectionStrings = connectionString;
+    return async () => {
+      return {connectionStrings};
+    };
+  }
+
   return async () => {
     return {connectionString};
   };
 };
 
 exports.connectionStringCredentials = connectionStringCredentials;
+
+/**
+ * Claim a namespace from the taskcluster-pulse service and return the issued
+ * connection string, from options on the form:
+ * {
+ *   rootUrl:           // Taskcluster rootUrl
+ *   credentials:       // Taskcluster credentials with scope pulse:namespace:<namespace>
+ *   namespace:         // namespace to claim
+ *   expiresAfter:      // time after which the namespace expires (default '4 hours')
+ *   contact:           // optional contact address for the namespace
+ * }
+ *
+ * The namespace is re-claimed on every call, so each new connection uses fresh
+ * credentials and extends the namespace's expiration.  The result includes the
+ * namespace's `reclaimAt` time as `recycleAt`, so the Client will recycle the
+ * connection, and re-claim the namespace, when the service asks it to.
+ */
+const claimedCredentials = ({rootUrl, credentials, namespace, expiresAfter, contact}) => {
+  assert(rootUrl, 'options.rootUrl is required');
+  assert(credentials, 'options.credentials is required');
+  assert(namespace, 'options.namespace is required');
+
+  const pulse = new taskcluster.Pulse({rootUrl, credentials});
+
+  return async () => {
+    const payload = {expires: taskcluster.fromNow(expiresAfter || '4 hours')};
+    if (contact) {
+      payload.contact = contact;
+    }
+    const res = await pulse.claimNamespace(namespace, payload);
+    return {
+      connectionString: res.connectionString,
+      recycleAt: new Date(res.reclaimAt),
+    };
+  };
+};
+
+exports.claimedCredentials = claimedCredentials;
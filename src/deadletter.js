@@ -0,0 +1,139 @@
+const assert = require('assert');
+const debug = require('debug')('taskcluster-lib-pulse.deadletter');
+
+/**
+ * Consumers created with the `deadLetter` option republish messages that fail
+ * for the last time to a dead-letter queue instead of dropping them.  The
+ * dead-letter queue is named `<queueName>/dead-letter` unless `deadLetter` is
+ * an object with a `queueName` property.  Like the consumer's own queue, its name is
+ * relative to the client's namespace.  The failed message is only removed from
+ * the consumer's queue once the server confirms the dead-letter copy; if that
+ * fails, the message is returned to the queue instead.
+ *
+ * Dead-lettered messages carry the following headers, in addition to the
+ * original message's headers:
+ *  - x-pulse-error -- the error message
+ *  - x-pulse-stack -- the error's stack
+ *  - x-pulse-original-exchange -- the exchange on which the message arrived
+ *  - x-pulse-original-routing-key -- its routing key
+ *  - x-pulse-failures -- the number of times the message has failed
+ */
+const deadLetterQueueName = (queueName, deadLetter) => {
+  if (deadLetter && deadLetter.queueName) {
+    return deadLetter.queueName;
+  }
+  return `${queueName}/dead-letter`;
+};
+
+exports.deadLetterQueueName = deadLetterQueueName;
+
+/**
+ * Get the headers for a dead-lettered copy of the given amqplib message
+ */
+const deadLetterHeaders = (msg, err, failures) => {
+  const headers = msg.properties.headers || {};
+  return {
+    ...headers,
+    'x-pulse-error': String(err && err.message || err),
+    'x-pulse-stack': String(err && err.stack || ''),
+    'x-pulse-original-exchange': headers['x-pulse-original-exchange'] || msg.fields.exchange,
+    'x-pulse-original-routing-key': headers['x-pulse-original-routing-key'] || msg.fields.routingKey,
+    'x-pulse-failures': (headers['x-pulse-failures'] || 0) + failures,
+  };
+};
+
+exports.deadLetterHeaders = deadLetterHeaders;
+
+/**
+ * List the messages in a consumer's dead-letter queue, without removing them.
+ * Options are the `client`, `queueName` and `deadLetter` passed to `consume`,
+ * and `limit` (default 100).  Each message is returned as
+ *
+ * {
+ *   payload,     // the message payload
+ *   exchange,    // the original exchange
+ *   routingKey,  // the original routing key
+ *   error,       // the error message
+ *   stack,       // the error's stack
+ *   failures,    // number of times the message has failed
+ * }
+ */
+const listDeadLetters = async ({client, queueName, deadLetter, limit = 100}) => {
+  assert(client, 'client is required');
+  assert(queueName, 'queueName is required');
+  const dlq = client.fullObjectName('queue', deadLetterQueueName(queueName, deadLetter));
+
+  return client.withChannel(async channel => {
+    const messages = [];
+    try {
+      while (messages.length < limit) {
+        const msg = await channel.get(dlq);
+        if (!msg) {
+          break;
+        }
+        const headers = msg.properties.headers || {};
+        messages.push({
+          payload: JSON.parse(msg.content.toString('utf8')),
+          exchange: headers['x-pulse-original-exchange'],
+          routingKey: headers['x-pulse-original-routing-key'],
+          error: headers['x-pulse-error'],
+          stack: headers['x-pulse-stack'],
+          failures: headers['x-pulse-failures'],
+        });
+      }
+    } finally {
+      // return everything to the queue
+      channel.nackAll(true);
+    }
+    return messages;
+  });
+};
+
+exports.listDeadLetters = listDeadLetters;
+
+/**
+ * Move messages from a consumer's dead-letter queue back into its queue, for
+ * example once the bug that caused them to fail has been fixed.  Options are
+ * as for `listDeadLetters`.  Returns the number of messages replayed.
+ *
+ * Replayed messages retain their original exchange and routing key, so the
+ * consumer handles them exactly as it did the first time.
+ */
+const replayDeadLetters = async ({client, queueName, deadLetter, limit = 100}) => {
+  assert(client, 'client is required');
+  assert(queueName, 'queueName is required');
+  const queue = client.fullObjectName('queue', queueName);
+  const dlq = client.fullObjectName('queue', deadLetterQueueName(queueName, deadLetter));
+
+  return client.withChannel(async channel => {
+    let replayed = 0;
+    while (replayed < limit) {
+      const msg = await channel.get(dlq);
+      if (!msg) {
+        break;
+      }
+
+      const headers = {...msg.properties.headers};
+      delete headers['x-pulse-error'];
+      delete headers['x-pulse-stack'];
+      // start over with the consumer's retry policy
+      delete headers['x-pulse-attempts'];
+      await new Promise((resolve, reject) => {
+        channel.sendToQueue(queue, msg.content, {...msg.properties, headers}, err => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+      // only remove the dead letter once the replayed message is confirmed
+      channel.ack(msg);
+      replayed++;
+    }
+    debug(`replayed ${replayed} messages from ${dlq} to ${queue}`);
+    return replayed;
+  }, {confirmChannel: true});
+};
+
+exports.replayDeadLetters = replayDeadLetters;
@@ -0,0 +1,146 @@
+const debug = require('debug')('taskcluster-lib-pulse.fakebroker');
+
+/**
+ * Return true if the given routing key matches the given topic-exchange
+ * binding pattern, where `*` matches exactly one word and `#` matches zero
+ * or more words.
+ */
+const topicMatch = (pattern, routingKey) => {
+  const match = (pwords, kwords) => {
+    if (pwords.length === 0) {
+      return kwords.length === 0;
+    }
+    if (pwords[0] === '#') {
+      // `#` matches nothing, or consumes one more word
+      if (match(pwords.slice(1), kwords)) {
+        return true;
+      }
+      return kwords.length > 0 && match(pwords, kwords.slice(1));
+    }
+    if (kwords.length === 0) {
+      return false;
+    }
+    if (pwords[0] === '*' || pwords[0] === kwords[0]) {
+      return match(pwords.slice(1), kwords.slice(1));
+    }
+    return false;
+  };
+
+  return match(pattern.split('.'), routingKey.split('.'));
+};
+
+exports.topicMatch = topicMatch;
+
+/**
+ * An in-memory message broker with topic-exchange semantics, used by
+ * FakeClient so that fake publishers and fake consumers can talk to one
+ * another.
+ *
+ * Messages are routed to every queue with a binding matching the routing key
+ * or any of the CC'd routing keys, at most once per queue.  Messages for a
+ * queue with no consumer are held until a consumer appears.  Messages are
+ * delivered in the same shape that amqplib uses, with `content`, `fields` and
+ * `properties`.
+ */
+class FakeBroker {
+  constructor() {
+    // queues, keyed by name, as {name, bindings, messages, consumer}
+    this.queues = new Map();
+  }
+
+  assertQueue(queueName) {
+    if (!this.queues.has(queueName)) {
+      this.queues.set(queueName, {name: queueName, bindings: [], messages: [], consumer: null});
+    }
+    return this.queues.get(queueName);
+  }
+
+  deleteQueue(queueName) {
+    this.queues.delete(queueName);
+  }
+
+  bindQueue(queueName, exchange, routingKeyPattern) {
+    const queue = this.assertQueue(queueName);
+    if (!queue.bindings.some(b => b.exchange === exchange && b.routingKeyPattern === routingKeyPattern)) {
+      queue.bindings.push({exchange, routingKeyPattern});
+    }
+  }
+
+  unbindQueue(queueName, exchange, routingKeyPattern) {
+    const queue = this.assertQueue(queueName);
+    queue.bindings = queue.bindings.filter(
+      b => !(b.exchange === exchange && b.routingKeyPattern === routingKeyPattern));
+  }
+
+  /**
+   * Start delivering messages on the given queue to `onMessage`, an async
+   * function.  Any messages already held in the queue are delivered first.
+   */
+  async consume(queueName, onMessage) {
+    const queue = this.assertQueue(queueName);
+    queue.consumer = onMessage;
+    while (queue.messages.length > 0 && queue.consumer === onMessage) {
+      await onMessage(queue.messages.shift());
+    }
+  }
+
+  /**
+   * Stop delivering messages on the given queue; later messages are held.
+   */
+  cancel(queueName) {
+    const queue = this.queues.get(queueName);
+    if (queue) {
+      queue.consumer = null;
+    }
+  }
+
+  /**
+   * Return a message to the front of the given queue.  If the queue has a
+   * consumer, the message is redelivered to it on a later turn of the event
+   * loop, resolving when it has been handled; otherwise it is held until a
+   * consumer appears.
+   */
+  async requeue(queueName, msg) {
+    const queue = this.assertQueue(queueName);
+    queue.messages.unshift({...msg, fields: {...msg.fields, redelivered: true}});
+
+    // give the consumer a chance to stop, as a real broker's round trip would
+    await new Promise(resolve => setImmediate(resolve));
+    if (queue.consumer && queue.messages.length > 0) {
+      await queue.consumer(queue.messages.shift());
+    }
+  }
+
+  /**
+   * Route a message to the matching queues, resolving when all consumers
+   * have handled it.
+   */
+  async publish(exchange, routingKey, content, {CC} = {}) {
+    const routingKeys = [routingKey].concat(CC || []);
+    const deliveries = [];
+
+    for (let queue of this.queues.values()) {
+      const matches = queue.bindings.some(binding => binding.exchange === exchange &&
+        routingKeys.some(key => topicMatch(binding.routingKeyPattern, key)));
+      if (!matches) {
+        continue;
+      }
+
+      debug(`routing message with routing key ${routingKey} to queue ${queue.name}`);
+      const msg = {
+        content,
+        fields: {exchange, routingKey, redelivered: false},
+        properties: {headers: {CC: CC || []}},
+      };
+      if (queue.consumer) {
+        deliveries.push(queue.consumer(msg));
+      } else {
+        queue.messages.push(msg);
+      }
+    }
+
+    await Promise.all(deliveries);
+  }
+}
+
+exports.FakeBroker = FakeBroker;
@@ -3,8 +3,16 @@ const {consume} = require('./consumer');
 const {
   pulseCredentials,
   connectionStringCredentials,
+  claimedCredentials,
 } = require('./credentials');
 const {Exchanges} = require('./publisher');
+const {listDeadLetters, replayDeadLetters} = require('./deadletter');
+const {reconcileBindings} = require('./reconcile');
+const {bindingFromReference} = require('./bindings');
+const {
+  fixedReconnectionPolicy,
+  backoffReconnectionPolicy,
+} = require('./reconnection');
 
 module.exports = {
   Client,
@@ -12,5 +20,12 @@ module.exports = {
   consume,
   pulseCredentials,
   connectionStringCredentials,
+  claimedCredentials,
   Exchanges,
+  fixedReconnectionPolicy,
+  backoffReconnectionPolicy,
+  listDeadLetters,
+  replayDeadLetters,
+  reconcileBindings,
+  bindingFromReference,
 };
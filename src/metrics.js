@@ -0,0 +1,9 @@
+/**
+ * Convert an AMQP object name, such as an exchange or queue name, into a form
+ * suitable for use as a component of a metric key.  Metric keys are
+ * dot-separated, and some backends do not support other punctuation, so
+ * anything other than letters, digits, `-` and `_` is replaced with `_`.
+ */
+const metricTag = name => name.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+exports.metricTag = metricTag;
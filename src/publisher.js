@@ -4,6 +4,8 @@ const debug = require('debug')('taskcluster-lib-pulse.publisher');
 const EventEmitter = require('events');
 const url = require('url');
 const AWS = require('aws-sdk');
+const {metricTag} = require('./metrics');
+const {bindingFromReference} = require('./bindings');
 
 class Exchanges {
   constructor(options) {
@@ -40,16 +42,24 @@ class Exchanges {
     };
   }
 
-  async publisher({rootUrl, schemaset, client, sendDeadline, publish, aws}) {
+  /**
+   * Build a binding for the named entry, for use with `consume`.  See
+   * `bindingFromReference` for details.
+   */
+  binding(name, routingKeyFields) {
+    return bindingFromReference(this.reference(), name, routingKeyFields);
+  }
+
+  async publisher({rootUrl, schemaset, client, sendDeadline, failWhenBlocked, publish, aws}) {
     let publisher;
     if (process.env.NODE_ENV !== 'production') {
       this.exchangePrefix = `exchange/${client.namespace}/${this.apiVersion}/`;
     }
 
     if (client.isFakeClient) {
-      publisher = new FakePulsePublisher({rootUrl, schemaset, exchanges: this});
+      publisher = new FakePulsePublisher({rootUrl, schemaset, client, exchanges: this});
     } else {
-      publisher = new PulsePublisher({rootUrl, schemaset, client, sendDeadline, exchanges: this});
+      publisher = new PulsePublisher({rootUrl, schemaset, client, sendDeadline, failWhenBlocked, exchanges: this});
     }
     if (publish) {
       assert.equal(rootUrl, 'https://taskcluster.net',
@@ -163,13 +173,37 @@ class Entry {
   }
 }
 
+/**
+ * A PulsePublisher publishes messages to the exchanges declared in an Exchanges
+ * object, with a method for each declared entry.
+ *
+ * The publisher reports the following metrics to the client's monitor, where
+ * <exchange> is the full exchange name:
+ *  - pulse.publisher.<exchange>.published -- count of messages published and confirmed
+ *  - pulse.publisher.<exchange>.latency -- time (ms) from publishing until confirmation
+ *  - pulse.publisher.<exchange>.retries -- count of attempts to re-publish a message
+ *
+ * When the server has blocked the connection for flow control, publishing waits
+ * until the connection is unblocked (up to `sendDeadline`).  If `failWhenBlocked`
+ * is true, publishing instead fails immediately with an error with code
+ * `PulseConnectionBlocked`.
+ */
 class PulsePublisher {
-  constructor({rootUrl, schemaset, client, exchanges, sendDeadline}) {
+  constructor({rootUrl, schemaset, client, exchanges, sendDeadline, failWhenBlocked}) {
     this.rootUrl = rootUrl;
     this.schemaset = schemaset;
     this.client = client;
     this.exchanges = exchanges;
     this.sendDeadline = sendDeadline || 12000;
+    this.failWhenBlocked = Boolean(failWhenBlocked);
+
+    // number of publishes in progress right now, and functions to call when
+    // that number goes to zero
+    this.pendingPublishes = 0;
+    this._idleCallbacks = [];
+    // the wait for a blocked connection, shared by all publishes, as
+    // {connection, promise, waiters, stop}
+    this._unblockedWait = null;
 
     if (process.env.NODE_ENV === 'production') {
       assert.equal(client.namespace, exchanges.projectName,
@@ -185,6 +219,7 @@ class PulsePublisher {
   async _start() {
     this._setChannel(null);
     this.client.onConnected(this._handleConnection);
+    this.client.publishers.push(this);
 
     await this._assertExchanges();
     await this._declareMethods();
@@ -287,9 +322,32 @@ class PulsePublisher {
     }
   }
 
+  /**
+   * Wait until all publishes in progress have completed (successfully or not).
+   */
+  async flush() {
+    if (this.pendingPublishes > 0) {
+      await new Promise(resolve => this._idleCallbacks.push(resolve));
+    }
+  }
+
   async stop() {
-    this.client.removeListener(this._handleConnection);
+    this.client.removeListener('connected', this._handleConnection);
+    this.client.publishers = this.client.publishers.filter(publisher => publisher !== this);
     this.channelPromise = Promise.reject(new Error('PulsePublisher is stopped'));
+    // avoid an unhandled rejection if nothing tries to publish
+    this.channelPromise.catch(() => {});
+  }
+
+  /**
+   * Get a snapshot of the state of this publisher, for use in `client.status()`
+   */
+  status() {
+    return {
+      exchanges: this.exchanges.entries.map(entry => this.exchanges.exchangePrefix + entry.exchange),
+      hasChannel: Boolean(this._channel),
+      pendingPublishes: this.pendingPublishes,
+    };
   }
 
   async _send(exchange, routingKey, payload, CCs) {
@@ -302,10 +360,20 @@ class PulsePublisher {
     // the returned boolean.
 
     // calculate the time after which we will not start a new send operation
-    const deadline = new Date(new Date().getTime() + this.sendDeadline);
+    const start = new Date();
+    const deadline = new Date(start.getTime() + this.sendDeadline);
+    const metricPrefix = `pulse.publisher.${metricTag(exchange)}`;
     let lastError = null;
     let tries = 0;
 
+    const deadlineError = () => {
+      const err = lastError || new Error('PulsePublisher.sendDeadline exceeded');
+      err.retries = tries;
+      err.exchange = exchange;
+      err.routingKey = routingKey;
+      return err;
+    };
+
     // retry repeatedly until deadline; this getes rate-limited by the Client's
     // reconnection logic in the event of a server error
     const retry = async () => {
@@ -313,8 +381,23 @@ class PulsePublisher {
         try {
           const channel = await this.channelPromise;
 
+          const connection = this._connection;
+          if (connection && connection.blocked) {
+            if (this.failWhenBlocked) {
+              const err = new Error(`Connection is blocked by the server: ${connection.blockedReason}`);
+              err.code = 'PulseConnectionBlocked';
+              throw err;
+            }
+            debug('connection is blocked; waiting to publish on exchange %s', exchange);
+            await this._waitUntilUnblocked(connection, deadline - new Date());
+            continue;
+          }
+
           debug('%s message on exchange %s, routing key %s',
             tries++ ? 'Republishing' : 'Publishing', exchange, routingKey);
+          if (tries > 1) {
+            this.client.monitor.count(`${metricPrefix}.retries`);
+          }
           await new Promise((resolve, reject) => {
             channel.publish(exchange, routingKey, payload, {
               persistent:         true,
@@ -330,10 +413,22 @@ class PulsePublisher {
             });
           });
 
+          this.client.monitor.count(`${metricPrefix}.published`);
+          this.client.monitor.measure(`${metricPrefix}.latency`, new Date() - start);
           return;
         } catch (err) {
+          if (err.code === 'PulseConnectionBlocked') {
+            throw err;
+          }
           lastError = err;
 
+          // a blocked connection has not failed, so wait until it is unblocked
+          // and try again on the same channel
+          if (this._connection && this._connection.blocked) {
+            await this._waitUntilUnblocked(this._connection, deadline - new Date());
+            continue;
+          }
+
           // something went wrong, so mark the connection as failed and try
           // again (waiting for a new channel in the process)
           if (this._connection) {
@@ -342,6 +437,10 @@ class PulsePublisher {
           this._setChannel(null);
         }
       }
+
+      // the deadline passed without a successful send (for example, while
+      // waiting for a blocked connection)
+      throw deadlineError();
     };
 
     let deadlineTimeout;
@@ -349,15 +448,60 @@ class PulsePublisher {
       await new Promise(resolve => {
         deadlineTimeout = setTimeout(resolve, this.sendDeadline);
       });
-      const err = lastError || new Error('PulsePublisher.sendDeadline exceeded');
-      err.retries = tries;
-      err.exchange = exchange;
-      err.routingKey = routingKey;
-      throw err;
+      throw deadlineError();
     };
 
-    await Promise.race([retry(), failAtDeadline()]);
-    clearTimeout(deadlineTimeout);
+    this.pendingPublishes++;
+    try {
+      await Promise.race([retry(), failAtDeadline()]);
+    } finally {
+      clearTimeout(deadlineTimeout);
+      this.pendingPublishes--;
+      if (this.pendingPublishes === 0) {
+        this._idleCallbacks.splice(0).forEach(resolve => resolve());
+      }
+    }
+  }
+
+  /**
+   * Wait until the given connection is unblocked, the client has a new
+   * connection, or the timeout (ms) expires, whichever comes first.  Publishes
+   * waiting on the same connection share one set of listeners, which is
+   * removed when the last of them stops waiting.
+   */
+  async _waitUntilUnblocked(connection, timeout) {
+    let wait = this._unblockedWait;
+    if (!wait || wait.connection !== connection) {
+      wait = {connection, waiters: 0};
+      wait.promise = new Promise(resolve => {
+        wait.stop = () => {
+          connection.removeListener('unblocked', wait.stop);
+          this.client.removeListener('connected', wait.stop);
+          if (this._unblockedWait === wait) {
+            this._unblockedWait = null;
+          }
+          resolve();
+        };
+      });
+      connection.on('unblocked', wait.stop);
+      this.client.on('connected', wait.stop);
+      this._unblockedWait = wait;
+    }
+
+    wait.waiters++;
+    let timer;
+    try {
+      await Promise.race([
+        wait.promise,
+        new Promise(resolve => { timer = setTimeout(resolve, Math.max(timeout, 0)); }),
+      ]);
+    } finally {
+      clearTimeout(timer);
+      wait.waiters--;
+      if (wait.waiters === 0) {
+        wait.stop();
+      }
+    }
   }
 
   /**
@@ -424,6 +568,7 @@ class FakePulsePublisher extends EventEmitter {
     super();
     this.rootUrl = rootUrl;
     this.schemaset = schemaset;
+    this.client = client;
     this.exchanges = exchanges;
 
     // bind a few methods from the real PulsePublisher here
@@ -433,12 +578,30 @@ class FakePulsePublisher extends EventEmitter {
   }
 
   async _start() {
+    this.client.publishers.push(this);
     // steal _declareMethods from the real PulsePublisher; the resulting
     // methods will call our _send method
     this._declareMethods();
   }
 
+  async stop() {
+    this.client.publishers = this.client.publishers.filter(publisher => publisher !== this);
+  }
+
+  status() {
+    return {
+      exchanges: this.exchanges.entries.map(entry => this.exchanges.exchangePrefix + entry.exchange),
+      hasChannel: false,
+      pendingPublishes: 0,
+    };
+  }
+
   async _send(exchange, routingKey, payload, CCs) {
     this.emit('message', {exchange, routingKey, payload: JSON.parse(payload), CCs});
+    // deliver to any fake consumers bound to this exchange; as with a real
+    // broker, publishing does not wait for the consumers to handle the message
+    this.client.broker.publish(exchange, routingKey, payload, {CC: CCs}).catch(err => {
+      debug('error delivering fake message: %s', err);
+    });
   }
 }
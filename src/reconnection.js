@@ -0,0 +1,69 @@
+const assert = require('assert');
+
+/**
+ * A reconnection policy determines how long a Client waits between attempts
+ * to connect to the pulse server.  A policy is an object with
+ *
+ * {
+ *   delay(attempts),   // minimum ms between the previous attempt and the next
+ *   resetAfter,        // ms a connection must stay up before attempts resets
+ * }
+ *
+ * `attempts` is the number of connection attempts made since the last time a
+ * connection was considered healthy, so it is zero for the first attempt
+ * after a healthy connection.
+ */
+
+/**
+ * A policy that waits a fixed interval between connection attempts, regardless
+ * of how many attempts have failed.  This is the default policy, using the
+ * Client's `minReconnectionInterval`.
+ */
+const fixedReconnectionPolicy = ({interval}) => {
+  assert(typeof interval === 'number' && interval >= 0, 'interval must be a non-negative number');
+
+  return {
+    delay: attempts => interval,
+    resetAfter: 0,
+  };
+};
+
+exports.fixedReconnectionPolicy = fixedReconnectionPolicy;
+
+/**
+ * A policy that backs off exponentially as connection attempts continue to fail,
+ * from options on the form:
+ * {
+ *   minInterval:       // delay after the first attempt (ms; default 15s)
+ *   maxInterval:       // cap on the delay (ms; default 10m)
+ *   multiplier:        // growth factor per attempt (default 2)
+ *   jitter:            // fraction of the delay to randomize (0..1; default 0.5)
+ *   resetAfter:        // ms a connection must stay up to reset (default 1m)
+ * }
+ *
+ * The jitter is subtracted from the delay, so a delay of 60s with jitter 0.5
+ * will be somewhere between 30s and 60s.  This spreads out reconnections from
+ * many clients that lost their connections at the same time.
+ */
+const backoffReconnectionPolicy = ({minInterval, maxInterval, multiplier, jitter, resetAfter} = {}) => {
+  minInterval = typeof minInterval === 'number' ? minInterval : 15 * 1000;
+  maxInterval = typeof maxInterval === 'number' ? maxInterval : 10 * 60 * 1000;
+  multiplier = typeof multiplier === 'number' ? multiplier : 2;
+  jitter = typeof jitter === 'number' ? jitter : 0.5;
+  resetAfter = typeof resetAfter === 'number' ? resetAfter : 60 * 1000;
+
+  assert(minInterval >= 0, 'minInterval must be non-negative');
+  assert(maxInterval >= minInterval, 'maxInterval must be at least minInterval');
+  assert(multiplier >= 1, 'multiplier must be at least 1');
+  assert(jitter >= 0 && jitter <= 1, 'jitter must be between 0 and 1');
+
+  return {
+    delay: attempts => {
+      const delay = Math.min(maxInterval, minInterval * Math.pow(multiplier, Math.max(attempts - 1, 0)));
+      return delay - delay * jitter * Math.random();
+    },
+    resetAfter,
+  };
+};
+
+exports.backoffReconnectionPolicy = backoffReconnectionPolicy;
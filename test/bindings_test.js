@@ -0,0 +1,68 @@
+const {bindingFromReference} = require('../src');
+const assume = require('assume');
+
+suite('bindings_test.js', function() {
+  const reference = {
+    serviceName: 'queue',
+    exchangePrefix: 'exchange/taskcluster-queue/v1/',
+    entries: [{
+      name: 'taskDefined',
+      exchange: 'task-defined',
+      routingKey: [
+        {name: 'routingKeyKind', constant: 'primary', multipleWords: false, required: true},
+        {name: 'taskId', multipleWords: false, required: true},
+        {name: 'workerType', multipleWords: false, required: false},
+        {name: 'reserved', multipleWords: true, required: false},
+      ],
+    }],
+  };
+
+  test('no fields matches everything', function() {
+    assume(bindingFromReference(reference, 'taskDefined')).to.deeply.equal({
+      exchange: 'exchange/taskcluster-queue/v1/task-defined',
+      routingKeyPattern: 'primary.*.*.#',
+      routingKeyReference: reference.entries[0].routingKey,
+    });
+  });
+
+  test('fields are filled in', function() {
+    const binding = bindingFromReference(reference, 'taskDefined', {taskId: 'abc', reserved: 'x.y'});
+    assume(binding.routingKeyPattern).to.equal('primary.abc.*.x.y');
+  });
+
+  test('a constant field may be given its constant value', function() {
+    const binding = bindingFromReference(reference, 'taskDefined', {routingKeyKind: 'primary'});
+    assume(binding.routingKeyPattern).to.equal('primary.*.*.#');
+  });
+
+  test('unknown entries are an error', function() {
+    assume(() => bindingFromReference(reference, 'taskExploded')).to.throw(/no exchange named/);
+  });
+
+  test('unknown fields are an error', function() {
+    assume(() => bindingFromReference(reference, 'taskDefined', {provisionerId: 'p'}))
+      .to.throw(/not a routing key field/);
+  });
+
+  test('changing a constant field is an error', function() {
+    assume(() => bindingFromReference(reference, 'taskDefined', {routingKeyKind: 'secondary'}))
+      .to.throw(/is constant/);
+  });
+
+  test('multiple words in a single-word field are an error', function() {
+    assume(() => bindingFromReference(reference, 'taskDefined', {taskId: 'a.b'}))
+      .to.throw(/is a single word/);
+    assume(() => bindingFromReference(reference, 'taskDefined', {taskId: '#'}))
+      .to.throw(/is a single word/);
+  });
+
+  test('empty words are an error', function() {
+    assume(() => bindingFromReference(reference, 'taskDefined', {reserved: 'a..b'}))
+      .to.throw(/empty words/);
+  });
+
+  test('non-string fields are an error', function() {
+    assume(() => bindingFromReference(reference, 'taskDefined', {taskId: 7}))
+      .to.throw(/must be a string/);
+  });
+});
@@ -0,0 +1,124 @@
+const {ChannelPool} = require('../src/channelpool');
+const assume = require('assume');
+const events = require('events');
+
+suite('channelpool_test.js', function() {
+  let amqp, created;
+
+  // a fake amqplib connection, creating fake channels
+  setup(function() {
+    created = [];
+    const createChannel = confirm => async () => {
+      const channel = new events.EventEmitter();
+      channel.confirm = confirm;
+      channel.closed = false;
+      channel.close = async () => {
+        channel.closed = true;
+        channel.emit('close');
+      };
+      created.push(channel);
+      return channel;
+    };
+    amqp = {
+      createChannel: createChannel(false),
+      createConfirmChannel: createChannel(true),
+    };
+  });
+
+  test('reuses released channels', async function() {
+    const pool = new ChannelPool(amqp, {size: 2});
+    const chan1 = await pool.acquire();
+    pool.release(chan1);
+    const chan2 = await pool.acquire();
+    assume(chan2).to.equal(chan1);
+    assume(created.length).to.equal(1);
+  });
+
+  test('keeps channels and confirm channels separate', async function() {
+    const pool = new ChannelPool(amqp, {size: 2});
+    const chan = await pool.acquire();
+    pool.release(chan);
+    const confirmChan = await pool.acquire({confirmChannel: true});
+    assume(confirmChan).to.not.equal(chan);
+    assume(confirmChan.confirm).to.equal(true);
+    assume(pool.openChannels).to.equal(2);
+  });
+
+  test('closes an idle channel of the other kind when full', async function() {
+    const pool = new ChannelPool(amqp, {size: 1});
+    const chan = await pool.acquire();
+    pool.release(chan);
+    const confirmChan = await pool.acquire({confirmChannel: true});
+    assume(confirmChan.confirm).to.equal(true);
+    assume(chan.closed).to.equal(true);
+    assume(pool.openChannels).to.equal(1);
+  });
+
+  test('waits for a channel when full', async function() {
+    const pool = new ChannelPool(amqp, {size: 2});
+    const chan1 = await pool.acquire();
+    const chan2 = await pool.acquire();
+
+    let chan3;
+    const acquiring = pool.acquire().then(chan => { chan3 = chan; });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assume(chan3).to.equal(undefined);
+
+    pool.release(chan2);
+    await acquiring;
+    assume(chan3).to.equal(chan2);
+    assume(created.length).to.equal(2);
+    pool.release(chan1);
+  });
+
+  test('discards channels that fail', async function() {
+    const pool = new ChannelPool(amqp, {size: 2});
+    const chan1 = await pool.acquire();
+    chan1.emit('error', new Error('uhoh'));
+    pool.release(chan1);
+    assume(pool.openChannels).to.equal(0);
+
+    // an idle channel that closes is discarded too
+    const chan2 = await pool.acquire();
+    pool.release(chan2);
+    chan2.emit('close');
+    assume(pool.openChannels).to.equal(0);
+
+    const chan3 = await pool.acquire();
+    assume([chan1, chan2]).to.not.contain(chan3);
+  });
+
+  test('drain closes idle channels and waits for channels in use', async function() {
+    const pool = new ChannelPool(amqp, {size: 2});
+    const chan1 = await pool.acquire();
+    const chan2 = await pool.acquire();
+    pool.release(chan1);
+
+    let drained = false;
+    const draining = pool.drain().then(() => { drained = true; });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assume(chan1.closed).to.equal(true);
+    assume(chan2.closed).to.equal(false);
+    assume(drained).to.equal(false);
+
+    pool.release(chan2);
+    await draining;
+    assume(chan2.closed).to.equal(true);
+    assume(pool.openChannels).to.equal(0);
+  });
+
+  test('acquire fails while draining', async function() {
+    const pool = new ChannelPool(amqp, {size: 1});
+    const chan1 = await pool.acquire();
+    const waiting = pool.acquire();
+
+    const draining = pool.drain();
+    await assume(pool.acquire()).rejects(/draining/);
+    await assume(waiting).rejects(/draining/);
+
+    pool.release(chan1);
+    await draining;
+    assume(created.length).to.equal(1);
+    assume(pool.openChannels).to.equal(0);
+  });
+});
@@ -0,0 +1,127 @@
+const {FakeBroker, topicMatch} = require('../src/fakebroker');
+const assume = require('assume');
+
+suite('fakebroker_test.js', function() {
+  suite('topicMatch', function() {
+    const cases = [
+      ['a.b.c', 'a.b.c', true],
+      ['a.b.c', 'a.b', false],
+      ['a.*.c', 'a.b.c', true],
+      ['a.*.c', 'a.c', false],
+      ['a.*', 'a.b.c', false],
+      ['#', 'a.b.c', true],
+      ['#', '', true],
+      ['a.#', 'a', true],
+      ['a.#', 'a.b.c', true],
+      ['a.#.c', 'a.c', true],
+      ['a.#.c', 'a.b.b.c', true],
+      ['a.#.c', 'a.b.b.d', false],
+      ['#.c', 'a.b.c', true],
+      ['*.*.#', 'a', false],
+    ];
+    cases.forEach(([pattern, routingKey, expected]) => {
+      test(`${pattern} ${expected ? 'matches' : 'does not match'} ${routingKey}`, function() {
+        assume(topicMatch(pattern, routingKey)).to.equal(expected);
+      });
+    });
+  });
+
+  suite('FakeBroker', function() {
+    let broker, got;
+
+    setup(function() {
+      broker = new FakeBroker();
+      got = [];
+    });
+
+    const consumer = name => async msg => got.push({
+      name,
+      routingKey: msg.fields.routingKey,
+      content: msg.content.toString(),
+      CC: msg.properties.headers.CC,
+    });
+
+    test('routes messages to queues with matching bindings', async function() {
+      broker.bindQueue('q1', 'ex', 'a.*');
+      broker.bindQueue('q2', 'ex', 'b.#');
+      broker.bindQueue('q3', 'other', '#');
+      await broker.consume('q1', consumer('q1'));
+      await broker.consume('q2', consumer('q2'));
+      await broker.consume('q3', consumer('q3'));
+
+      await broker.publish('ex', 'a.x', Buffer.from('one'));
+      await broker.publish('ex', 'b.x.y', Buffer.from('two'));
+      await broker.publish('ex', 'c', Buffer.from('three'));
+
+      assume(got).to.deeply.equal([
+        {name: 'q1', routingKey: 'a.x', content: 'one', CC: []},
+        {name: 'q2', routingKey: 'b.x.y', content: 'two', CC: []},
+      ]);
+    });
+
+    test('routes CC\'d messages once per queue', async function() {
+      broker.bindQueue('q1', 'ex', 'route.#');
+      broker.bindQueue('q1', 'ex', 'a.*');
+      await broker.consume('q1', consumer('q1'));
+
+      await broker.publish('ex', 'a.b', Buffer.from('msg'), {CC: ['route.x', 'route.y']});
+      await broker.publish('ex', 'c.d', Buffer.from('cc'), {CC: ['route.z']});
+
+      assume(got).to.deeply.equal([
+        {name: 'q1', routingKey: 'a.b', content: 'msg', CC: ['route.x', 'route.y']},
+        {name: 'q1', routingKey: 'c.d', content: 'cc', CC: ['route.z']},
+      ]);
+    });
+
+    test('unbound queues do not get messages', async function() {
+      broker.bindQueue('q1', 'ex', '#');
+      broker.unbindQueue('q1', 'ex', '#');
+      await broker.consume('q1', consumer('q1'));
+
+      await broker.publish('ex', 'a', Buffer.from('msg'));
+
+      assume(got).to.deeply.equal([]);
+    });
+
+    test('holds messages until a consumer appears', async function() {
+      broker.bindQueue('q1', 'ex', '#');
+      await broker.publish('ex', 'a', Buffer.from('before'));
+      await broker.consume('q1', consumer('q1'));
+      broker.cancel('q1');
+      await broker.publish('ex', 'b', Buffer.from('cancelled'));
+      assume(got.map(m => m.content)).to.deeply.equal(['before']);
+
+      await broker.consume('q1', consumer('q1'));
+      assume(got.map(m => m.content)).to.deeply.equal(['before', 'cancelled']);
+
+      broker.deleteQueue('q1');
+      await broker.publish('ex', 'c', Buffer.from('deleted'));
+      assume(got.map(m => m.content)).to.deeply.equal(['before', 'cancelled']);
+    });
+
+    test('redelivers requeued messages to the active consumer', async function() {
+      broker.bindQueue('q1', 'ex', '#');
+      await broker.consume('q1', async msg => {
+        got.push({content: msg.content.toString(), redelivered: msg.fields.redelivered});
+        if (!msg.fields.redelivered) {
+          await broker.requeue('q1', msg);
+        }
+      });
+
+      await broker.publish('ex', 'a', Buffer.from('msg'));
+      assume(got).to.deeply.equal([
+        {content: 'msg', redelivered: false},
+        {content: 'msg', redelivered: true},
+      ]);
+    });
+
+    test('holds requeued messages while there is no consumer', async function() {
+      broker.bindQueue('q1', 'ex', '#');
+      await broker.requeue('q1', {content: Buffer.from('msg'), fields: {routingKey: 'a'}, properties: {headers: {}}});
+      assume(got).to.deeply.equal([]);
+
+      await broker.consume('q1', consumer('q1'));
+      assume(got.map(m => m.content)).to.deeply.equal(['msg']);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-const {FakeClient, Client, Exchanges, connectionStringCredentials} = require('../src');
+const {FakeClient, Client, Exchanges, consume, connectionStringCredentials} = require('../src');
 const path = require('path');
 const amqplib = require('amqplib');
 const assume = require('assume');
@@ -175,10 +175,34 @@ suite('publisher_test.js', function() {
     });
   });
 
+  suite('Exchanges.binding', function() {
+    test('builds a binding for a declared exchange', function() {
+      const exchanges = new Exchanges(exchangeOptions);
+      exchanges.declare(declarationNoConstant);
+      assume(exchanges.binding('eggHatched', {eggId: 'abc'})).to.deeply.equal({
+        exchange: 'exchange/taskcluster-lib-pulse/v2/egg-hatched',
+        routingKeyPattern: 'abc',
+        routingKeyReference: exchanges.reference().entries[0].routingKey,
+      });
+    });
+
+    test('unspecified fields are wildcards', function() {
+      const exchanges = new Exchanges(exchangeOptions);
+      exchanges.declare(declarationNoConstant);
+      assume(exchanges.binding('eggHatched').routingKeyPattern).to.equal('*');
+    });
+
+    test('unknown fields are an error', function() {
+      const exchanges = new Exchanges(exchangeOptions);
+      exchanges.declare(declarationNoConstant);
+      assume(() => exchanges.binding('eggHatched', {chickenId: 'abc'})).to.throw(/not a routing key field/);
+    });
+  });
+
   suite('PulsePublisher', function() {
     // use a unique name for each test run, just to ensure nothing interferes
     const unique = `test-${new Date().getTime()}`;
-    let client, conn, chan, exchanges, schemaset, publisher, messages;
+    let client, conn, chan, exchanges, schemaset, publisher, messages, monitor;
 
     suiteSetup(async function() {
       if (!PULSE_CONNECTION_STRING) {
@@ -186,7 +210,7 @@ suite('publisher_test.js', function() {
         return;
       }
 
-      const monitor = await libMonitor({projectName: exchangeOptions.projectName, mock: true});
+      monitor = await libMonitor({projectName: exchangeOptions.projectName, mock: true});
       client = new Client({
         credentials: connectionStringCredentials(PULSE_CONNECTION_STRING),
         retirementDelay: 50,
@@ -257,6 +281,100 @@ suite('publisher_test.js', function() {
       });
     });
 
+    test('publishing reports metrics', async function() {
+      const prefix = `${exchangeOptions.projectName}.pulse.publisher.` +
+        `exchange_${client.namespace}_v2_${unique}`;
+      const before = monitor.counts[`${prefix}.published`] || 0;
+
+      await publisher.eggHatched({eggId: 'counted'});
+
+      assume(monitor.counts[`${prefix}.published`]).to.equal(before + 1);
+      assume(monitor.measures[`${prefix}.latency`].length).to.equal(before + 1);
+
+      // wait for the message to arrive, so it does not confuse the next test
+      await libTesting.poll(async () => {
+        assert.equal(messages.length, 1);
+      });
+    });
+
+    test('publishing waits while the connection is blocked', async function() {
+      const amqp = client.activeConnection.amqp;
+      amqp.emit('blocked', 'low on memory');
+
+      let published = false;
+      const publishing = publisher.eggHatched({eggId: 'patient'}).then(() => { published = true; });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assume(published).to.equal(false);
+
+      amqp.emit('unblocked');
+      await publishing;
+
+      await libTesting.poll(async () => {
+        assert.deepEqual(messages.map(msg => msg.fields.routingKey), ['patient']);
+      });
+    });
+
+    test('publishing fails while the connection is blocked, with failWhenBlocked', async function() {
+      const impatient = await exchanges.publisher({
+        rootUrl: libUrls.testRootUrl(),
+        schemaset,
+        client,
+        failWhenBlocked: true,
+      });
+      const amqp = client.activeConnection.amqp;
+      amqp.emit('blocked', 'low on memory');
+
+      try {
+        await impatient.eggHatched({eggId: 'impatient'});
+        assert(false, 'Did not get expected error');
+      } catch (err) {
+        assert.equal(err.code, 'PulseConnectionBlocked');
+      } finally {
+        amqp.emit('unblocked');
+        await impatient.stop();
+      }
+
+      // the connection was not recycled
+      assume(client.activeConnection.amqp).to.equal(amqp);
+    });
+
+    test('blocked past sendDeadline rejects', async function() {
+      const hasty = await exchanges.publisher({
+        rootUrl: libUrls.testRootUrl(),
+        schemaset,
+        client,
+        sendDeadline: 200,
+      });
+      const conn = client.activeConnection;
+      const amqp = conn.amqp;
+      const unblockedListeners = conn.listenerCount('unblocked');
+      const connectedListeners = client.listenerCount('connected');
+      amqp.emit('blocked', 'low on memory');
+
+      try {
+        const results = Promise.all([...Array(20).keys()].map(
+          i => hasty.eggHatched({eggId: `hasty-${i}`}).then(() => 'published', () => 'rejected')));
+
+        // the waiting publishes share one listener for each event
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assume(conn.listenerCount('unblocked')).to.equal(unblockedListeners + 1);
+        assume(client.listenerCount('connected')).to.equal(connectedListeners + 1);
+
+        assume((await results).filter(result => result === 'published')).to.deeply.equal([]);
+        // the waits end at about the same time as the publishes are rejected
+        await libTesting.poll(async () => {
+          assert.equal(conn.listenerCount('unblocked'), unblockedListeners);
+          assert.equal(client.listenerCount('connected'), connectedListeners);
+        });
+      } finally {
+        amqp.emit('unblocked');
+        await hasty.stop();
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assume(messages).to.deeply.equal([]);
+    });
+
     test('publish *lots* of messages in parallel', async function() {
       this.slow(5000);
 
@@ -299,10 +417,7 @@ suite('publisher_test.js', function() {
     let client, exchanges, schemaset, publisher;
 
     suiteSetup(async function() {
-      client = new FakeClient();
-      // this won't be necessary when namespace is a proper argument to the
-      // FakeClient class..
-      client.namespace = exchangeOptions.projectName;
+      client = new FakeClient({namespace: exchangeOptions.projectName});
 
       exchanges = new Exchanges(exchangeOptions);
       exchanges.declare({...declarationNoConstant});
@@ -330,5 +445,72 @@ suite('publisher_test.js', function() {
         CCs: [],
       }]);
     });
+
+    test('fake publisher status', async function() {
+      const status = client.status();
+      assume(status.namespace).to.equal(exchangeOptions.projectName);
+      assume(status.publishers).to.deeply.equal([{
+        exchanges: ['exchange/taskcluster-lib-pulse/v2/egg-hatched'],
+        hasChannel: false,
+        pendingPublishes: 0,
+      }]);
+    });
+
+    test('fake publishing delivers to fake consumers', async function() {
+      const got = [];
+      const bindings = [{
+        exchange: 'exchange/taskcluster-lib-pulse/v2/egg-hatched',
+        routingKeyPattern: 'goodEgg',
+        routingKeyReference: [{name: 'eggId'}],
+      }];
+      const matching = await consume({client, queueName: 'matching', bindings},
+        async msg => got.push(msg));
+      const other = await consume({
+        client,
+        queueName: 'other',
+        bindings: [{...bindings[0], routingKeyPattern: 'other'}],
+      }, async msg => got.push(msg));
+
+      await publisher.eggHatched({eggId: 'goodEgg'});
+      await publisher.eggHatched({eggId: 'badEgg'});
+
+      await libTesting.poll(async () => {
+        assert.equal(got.length, 1);
+      });
+      assume(got).to.deeply.equal([{
+        payload: {eggId: 'goodEgg'},
+        exchange: 'exchange/taskcluster-lib-pulse/v2/egg-hatched',
+        routingKey: 'goodEgg',
+        redelivered: false,
+        routes: [],
+        routing: {eggId: 'goodEgg'},
+      }]);
+
+      await matching.stop();
+      await other.stop();
+    });
+
+    test('fake publishing does not wait for fake consumers', async function() {
+      let release;
+      const released = new Promise(resolve => { release = resolve; });
+      let handled = false;
+      const consumer = await consume({
+        client,
+        queueName: 'slow',
+        bindings: [{exchange: 'exchange/taskcluster-lib-pulse/v2/egg-hatched', routingKeyPattern: '#'}],
+      }, async msg => {
+        await released;
+        handled = true;
+      });
+
+      await publisher.eggHatched({eggId: 'slowEgg'});
+      assume(handled).to.equal(false);
+
+      release();
+      await libTesting.poll(async () => {
+        assert.equal(handled, true);
+      });
+      await consumer.stop();
+    });
   });
 });
@@ -0,0 +1,101 @@
+const {reconcileBindings} = require('../src');
+const assume = require('assume');
+const nock = require('nock');
+
+suite('reconcile_test.js', function() {
+  const managementUrl = 'https://me:pw@rabbitmq.example.com:15672/api';
+  let client, unbound;
+
+  setup(function() {
+    unbound = [];
+    // just enough of a Client to reconcile bindings
+    client = {
+      namespace: 'ns',
+      fullObjectName: (kind, name) => `${kind}/ns/${name}`,
+      withChannel: async fn => fn({
+        unbindQueue: async (queue, exchange, routingKeyPattern) => {
+          unbound.push({queue, exchange, routingKeyPattern});
+        },
+      }),
+    };
+  });
+
+  teardown(function() {
+    nock.cleanAll();
+  });
+
+  const stubBindings = () => nock('https://rabbitmq.example.com:15672')
+    .get('/api/queues/%2F/queue%2Fns%2Fmy-queue/bindings')
+    .basicAuth({user: 'me', pass: 'pw'})
+    .reply(200, [
+      {source: '', destination: 'queue/ns/my-queue', destination_type: 'queue', routing_key: 'queue/ns/my-queue'},
+      {source: 'exchange/a', destination: 'queue/ns/my-queue', destination_type: 'queue', routing_key: 'keep.#'},
+      {source: 'exchange/a', destination: 'queue/ns/my-queue', destination_type: 'queue', routing_key: 'old.#'},
+      {source: 'exchange/b', destination: 'queue/ns/my-queue', destination_type: 'queue', routing_key: '#'},
+    ]);
+
+  const bindings = [
+    {exchange: 'exchange/a', routingKeyPattern: 'keep.#'},
+    {exchange: 'exchange/c', routingKeyPattern: 'new.#', routingKeyReference: []},
+  ];
+
+  test('missing arguments are an error', async function() {
+    await assume(reconcileBindings({client, queueName: 'my-queue', bindings})).rejects();
+    await assume(reconcileBindings({client, queueName: 'my-queue', managementUrl})).rejects();
+  });
+
+  test('unbinds bindings that are no longer configured', async function() {
+    stubBindings();
+    const report = await reconcileBindings({client, queueName: 'my-queue', bindings, managementUrl});
+
+    assume(report).to.deeply.equal({
+      queueName: 'queue/ns/my-queue',
+      dryRun: false,
+      existing: [
+        {exchange: 'exchange/a', routingKeyPattern: 'keep.#'},
+        {exchange: 'exchange/a', routingKeyPattern: 'old.#'},
+        {exchange: 'exchange/b', routingKeyPattern: '#'},
+      ],
+      unbound: [
+        {exchange: 'exchange/a', routingKeyPattern: 'old.#'},
+        {exchange: 'exchange/b', routingKeyPattern: '#'},
+      ],
+      missing: [
+        {exchange: 'exchange/c', routingKeyPattern: 'new.#'},
+      ],
+    });
+    assume(unbound).to.deeply.equal([
+      {queue: 'queue/ns/my-queue', exchange: 'exchange/a', routingKeyPattern: 'old.#'},
+      {queue: 'queue/ns/my-queue', exchange: 'exchange/b', routingKeyPattern: '#'},
+    ]);
+  });
+
+  test('dry run reports but does not unbind', async function() {
+    stubBindings();
+    const report = await reconcileBindings({client, queueName: 'my-queue', bindings, managementUrl, dryRun: true});
+
+    assume(report.dryRun).to.equal(true);
+    assume(report.unbound.length).to.equal(2);
+    assume(unbound).to.deeply.equal([]);
+  });
+
+  test('management API errors are thrown', async function() {
+    nock('https://rabbitmq.example.com:15672')
+      .get('/api/queues/%2F/queue%2Fns%2Fmy-queue/bindings')
+      .reply(404, {error: 'Object Not Found', reason: 'Not Found'});
+
+    await assume(reconcileBindings({client, queueName: 'my-queue', bindings, managementUrl})).rejects();
+    assume(unbound).to.deeply.equal([]);
+  });
+
+  test('an unresponsive management API times out', async function() {
+    nock('https://rabbitmq.example.com:15672')
+      .get('/api/queues/%2F/queue%2Fns%2Fmy-queue/bindings')
+      .socketDelay(60000)
+      .reply(200, []);
+
+    await assume(reconcileBindings({client, queueName: 'my-queue', bindings, managementUrl, timeout: 100}))
+      .rejects(/did not respond within 100ms/);
+    assume(unbound).to.deeply.equal([]);
+  });
+});
@@ -0,0 +1,41 @@
+const {fixedReconnectionPolicy, backoffReconnectionPolicy} = require('../src');
+const assume = require('assume');
+
+suite('reconnection_test.js', function() {
+  suite('fixedReconnectionPolicy', function() {
+    test('interval is required', function() {
+      assume(() => fixedReconnectionPolicy({})).throws(/interval/);
+    });
+
+    test('delay is always the interval', function() {
+      const policy = fixedReconnectionPolicy({interval: 100});
+      assume([0, 1, 10, 100].map(policy.delay)).to.deeply.equal([100, 100, 100, 100]);
+    });
+  });
+
+  suite('backoffReconnectionPolicy', function() {
+    test('invalid options are an error', function() {
+      assume(() => backoffReconnectionPolicy({minInterval: 10, maxInterval: 5})).throws(/maxInterval/);
+      assume(() => backoffReconnectionPolicy({multiplier: 0.5})).throws(/multiplier/);
+      assume(() => backoffReconnectionPolicy({jitter: 2})).throws(/jitter/);
+    });
+
+    test('delay grows exponentially up to the cap', function() {
+      const policy = backoffReconnectionPolicy({minInterval: 10, maxInterval: 100, jitter: 0});
+      assume([0, 1, 2, 3, 4, 5, 10].map(policy.delay))
+        .to.deeply.equal([10, 10, 20, 40, 80, 100, 100]);
+    });
+
+    test('delay is randomized by jitter', function() {
+      const policy = backoffReconnectionPolicy({minInterval: 1000, maxInterval: 1000, jitter: 0.5});
+      const delays = [...Array(100).keys()].map(() => policy.delay(3));
+      delays.forEach(delay => assume(delay).is.between(500, 1000));
+      assume(new Set(delays).size).is.gt(1);
+    });
+
+    test('resetAfter defaults to one minute', function() {
+      assume(backoffReconnectionPolicy().resetAfter).to.equal(60 * 1000);
+      assume(backoffReconnectionPolicy({resetAfter: 10}).resetAfter).to.equal(10);
+    });
+  });
+});